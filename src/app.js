@@ -0,0 +1,1259 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const cors = require('cors');
+const { admin, db } = require('./firebase');
+const { sendError, authenticate, isAdmin, requireAdmin, requireSelfOrAdmin, devOnly } = require('./auth');
+const { deviceIdForToken, devicesRef, releaseTokenFromOtherUsers, maskToken } = require('./devices');
+const {
+    READ_BATCH_LIMIT,
+    notificationsRef,
+    serializeNotification,
+    parseLimit,
+    buildInboxQuery,
+    getUnreadCount,
+    updateNotifications,
+    markAllNotificationsRead,
+    sendBadgeSync,
+} = require('./inbox');
+const { preferencesRef, mergePreferences, getPreferences, validatePreferences } = require('./preferences');
+const { outboxRef, processOutboxItem, sendAndLogNotification, sendLocalizedNotification } = require('./outbox');
+const { hasTemplate } = require('./templates');
+const {
+    TOPIC_TARGET_TYPES,
+    topicSubscriptionsRef,
+    subscribeUserToTopic,
+    unsubscribeUserFromTopic,
+    syncDeviceTopics,
+} = require('./topics');
+const { getFollowerIds } = require('./fanout');
+const { getLeadershipStatus } = require('./leader');
+const { campaignsRef, validateSegment, validateCampaignContent, createCampaign, cancelCampaign } = require('./campaigns');
+const { scheduledRef, validateSchedule, scheduleNotification, cancelScheduledNotification } = require('./scheduler');
+const { verifyUnsubscribe, unsubscribeFromDigest } = require('./digest');
+const {
+    VAPID_PUBLIC_KEY,
+    isWebPushConfigured,
+    validateSubscription,
+    saveWebPushSubscription,
+    removeWebPushSubscription,
+} = require('./webpush');
+const {
+    webhooksRef,
+    webhookDeliveriesRef,
+    userWebhookRef,
+    validateWebhookUrl,
+    validateWebhook,
+    getPlaceOwnerId,
+    createWebhook,
+    saveUserWebhook,
+} = require('./webhooks');
+const { rateLimit } = require('./ratelimit');
+
+const app = express();
+
+// Behind Vercel (or another proxy) req.ip must come from X-Forwarded-For for per-IP limits
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? (process.env.VERCEL ? 1 : 0)));
+
+app.use(cors());
+app.use(rateLimit());
+app.use(bodyParser.json());
+
+/**
+ * API ENDPOINTS
+ */
+
+// --- Register/Update FCM Token (one Devices doc per token) ---
+app.post('/register-token', authenticate, async (req, res) => {
+    const { fcmToken, platform, appVersion, locale } = req.body;
+    const userId = req.user.uid;
+
+    // Tokens are always bound to the caller; a mismatching userId is a spoof attempt
+    if (req.body.userId && req.body.userId !== userId) {
+        return sendError(res, 403, 'forbidden', 'Cannot register a token for another user');
+    }
+
+    if (!fcmToken) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing required fields'
+        });
+    }
+
+    try {
+        const deviceId = deviceIdForToken(fcmToken);
+        const deviceRef = devicesRef(userId).doc(deviceId);
+        const existing = await deviceRef.get();
+
+        // The device changed hands: stop delivering the previous owners' notifications to it
+        const previousOwners = await releaseTokenFromOtherUsers(fcmToken, userId);
+        for (const owner of previousOwners) {
+            await syncDeviceTopics(owner.userId, fcmToken, { locale: owner.locale, subscribe: false });
+        }
+
+        await deviceRef.set({
+            token: fcmToken,
+            platform: platform || 'unknown',
+            appVersion: appVersion || '',
+            locale: locale || '',
+            active: true,
+            lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+            ...(existing.exists ? {} : { createdAt: admin.firestore.FieldValue.serverTimestamp() }),
+        }, { merge: true });
+
+        // New tokens (or a changed locale) need the user's followed topics
+        const previousLocale = existing.exists ? existing.data().locale : undefined;
+        if (previousOwners.length || !existing.exists || existing.data().active !== true || previousLocale !== (locale || '')) {
+            await syncDeviceTopics(userId, fcmToken, { locale: locale, previousLocale: previousLocale });
+        }
+
+        console.log(`✅ [API] Token registered for ${userId} (${platform || 'unknown'})`);
+        res.status(200).json({
+            success: true,
+            message: 'FCM Token registered successfully',
+            deviceId: deviceId
+        });
+    } catch (e) {
+        console.error(`❌ Error registering token:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to register FCM token'
+        });
+    }
+});
+
+// --- Unregister FCM Token (logout) ---
+app.post('/unregister-token', authenticate, async (req, res) => {
+    const { fcmToken } = req.body;
+    const userId = req.user.uid;
+
+    if (!fcmToken) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing required fields'
+        });
+    }
+
+    try {
+        const deviceRef = devicesRef(userId).doc(deviceIdForToken(fcmToken));
+        const device = await deviceRef.get();
+        await syncDeviceTopics(userId, fcmToken, { locale: device.data()?.locale, subscribe: false });
+        await deviceRef.delete();
+
+        // Also clear the legacy single-token field if it points at this device
+        const userRef = db.collection('Users').doc(userId);
+        const userDoc = await userRef.get();
+        if (userDoc.exists && userDoc.data()?.fcmToken === fcmToken) {
+            await userRef.update({
+                fcmToken: admin.firestore.FieldValue.delete(),
+                fcmTokenUpdatedAt: admin.firestore.FieldValue.delete(),
+            });
+        }
+
+        console.log(`✅ [API] Token unregistered for ${userId}`);
+        res.status(200).json({
+            success: true,
+            message: 'FCM Token unregistered successfully'
+        });
+    } catch (e) {
+        console.error(`❌ Error unregistering token:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to unregister FCM token'
+        });
+    }
+});
+
+// --- Web Push (browser PushSubscription objects) ---
+app.get('/web-push/public-key', (req, res) => {
+    if (!isWebPushConfigured()) {
+        return sendError(res, 503, 'web_push_unavailable', 'Web Push is not configured');
+    }
+    res.status(200).json({
+        success: true,
+        publicKey: VAPID_PUBLIC_KEY
+    });
+});
+
+app.post('/register-web-push', authenticate, async (req, res) => {
+    if (!isWebPushConfigured()) {
+        return sendError(res, 503, 'web_push_unavailable', 'Web Push is not configured');
+    }
+    const { value, error } = validateSubscription(req.body?.subscription);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error
+        });
+    }
+
+    try {
+        const subscriptionId = await saveWebPushSubscription(req.user.uid, value, {
+            userAgent: req.get('user-agent'),
+            locale: req.body.locale,
+        });
+        console.log(`✅ [API] Web push subscription registered for ${req.user.uid}`);
+        res.status(200).json({
+            success: true,
+            message: 'Web push subscription registered successfully',
+            subscriptionId: subscriptionId
+        });
+    } catch (e) {
+        console.error(`❌ Error registering web push subscription:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to register web push subscription'
+        });
+    }
+});
+
+app.post('/unregister-web-push', authenticate, async (req, res) => {
+    const endpoint = req.body?.endpoint || req.body?.subscription?.endpoint;
+    if (!endpoint || typeof endpoint !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing required fields'
+        });
+    }
+
+    try {
+        await removeWebPushSubscription(req.user.uid, endpoint);
+        console.log(`✅ [API] Web push subscription removed for ${req.user.uid}`);
+        res.status(200).json({
+            success: true,
+            message: 'Web push subscription removed successfully'
+        });
+    } catch (e) {
+        console.error(`❌ Error removing web push subscription:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove web push subscription'
+        });
+    }
+});
+
+// --- Token Health (support view of a user's devices) ---
+app.get('/users/:id/token-health', authenticate, requireSelfOrAdmin, async (req, res) => {
+    try {
+        const userId = req.params.id;
+        const userDoc = await db.collection('Users').doc(userId).get();
+        if (!userDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const snapshot = await devicesRef(userId).get();
+        const devices = snapshot.docs.map(doc => {
+            const device = doc.data();
+            return {
+                deviceId: doc.id,
+                token: maskToken(device.token),
+                platform: device.platform || 'unknown',
+                appVersion: device.appVersion || '',
+                locale: device.locale || '',
+                active: device.active === true,
+                consecutiveFailures: device.consecutiveFailures || 0,
+                lastErrorCode: device.lastErrorCode || null,
+                lastErrorAt: device.lastErrorAt?.toDate?.().toISOString() || null,
+                lastSuccessAt: device.lastSuccessAt?.toDate?.().toISOString() || null,
+                lastSeenAt: device.lastSeenAt?.toDate?.().toISOString() || null,
+            };
+        });
+
+        const userData = userDoc.data();
+        const activeCount = devices.filter(device => device.active).length + (userData.fcmToken ? 1 : 0);
+        let status = 'ok';
+        if (devices.length === 0 && !userData.fcmToken) status = 'no_devices';
+        else if (activeCount === 0) status = 'all_disabled';
+        else if (devices.some(device => device.active && device.consecutiveFailures > 0)) status = 'degraded';
+
+        const tokenHealth = userData.tokenHealth || {};
+        res.status(200).json({
+            success: true,
+            userId: userId,
+            status: status,
+            activeCount: activeCount,
+            hasLegacyToken: !!userData.fcmToken,
+            prunedCount: tokenHealth.prunedCount || 0,
+            lastPrunedAt: tokenHealth.lastPrunedAt?.toDate?.().toISOString() || null,
+            lastPruneReason: tokenHealth.lastPruneReason || null,
+            devices: devices
+        });
+    } catch (e) {
+        console.error(`❌ Error reading token health:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read token health'
+        });
+    }
+});
+
+// --- Notification Inbox (cursor-paginated, newest first) ---
+app.get('/users/:id/notifications', authenticate, requireSelfOrAdmin, async (req, res) => {
+    try {
+        const userId = req.params.id;
+        const { cursor } = req.query;
+        const { limit, error: limitError } = parseLimit(req.query.limit);
+        if (limitError) {
+            return res.status(400).json({
+                success: false,
+                error: limitError
+            });
+        }
+
+        const { query, error } = buildInboxQuery(userId, req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error
+            });
+        }
+
+        let pageQuery = query.orderBy('timestamp', 'desc').limit(limit);
+        if (cursor) {
+            const cursorDoc = await notificationsRef(userId).doc(String(cursor)).get();
+            if (!cursorDoc.exists) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid cursor'
+                });
+            }
+            pageQuery = pageQuery.startAfter(cursorDoc);
+        }
+
+        const snapshot = await pageQuery.get();
+        const notifications = snapshot.docs.map(serializeNotification);
+        const nextCursor = snapshot.docs.length === limit ? snapshot.docs[snapshot.docs.length - 1].id : null;
+
+        res.status(200).json({
+            success: true,
+            notifications: notifications,
+            nextCursor: nextCursor
+        });
+    } catch (e) {
+        console.error(`❌ Error listing notifications:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list notifications'
+        });
+    }
+});
+
+app.get('/users/:id/notifications/unread-count', authenticate, requireSelfOrAdmin, async (req, res) => {
+    try {
+        const userDoc = await db.collection('Users').doc(req.params.id).get();
+        const unreadCount = await getUnreadCount(req.params.id, userDoc.data());
+        res.status(200).json({
+            success: true,
+            unreadCount: unreadCount
+        });
+    } catch (e) {
+        console.error(`❌ Error counting unread notifications:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to count unread notifications'
+        });
+    }
+});
+
+// --- Read State ---
+// Body may carry `deviceToken` (the reading device) so it is skipped by the badge sync.
+async function respondWithReadState(req, res, action, label) {
+    try {
+        const result = await action();
+        sendBadgeSync(req.params.id, result.unreadCount, req.body?.deviceToken);
+        res.status(200).json({
+            success: true,
+            updated: result.changed,
+            unreadCount: result.unreadCount
+        });
+    } catch (e) {
+        console.error(`❌ Error ${label}:`, e);
+        res.status(500).json({
+            success: false,
+            error: `Failed ${label}`
+        });
+    }
+}
+
+function parseNotificationIds(req, res) {
+    const { ids } = req.body || {};
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > READ_BATCH_LIMIT || !ids.every(id => typeof id === 'string' && id)) {
+        res.status(400).json({
+            success: false,
+            error: `ids must be a non-empty array of up to ${READ_BATCH_LIMIT} notification IDs`
+        });
+        return null;
+    }
+    return ids;
+}
+
+app.post('/users/:id/notifications/read-all', authenticate, requireSelfOrAdmin, (req, res) => {
+    return respondWithReadState(req, res, () => markAllNotificationsRead(req.params.id), 'marking all notifications read');
+});
+
+app.post('/users/:id/notifications/read', authenticate, requireSelfOrAdmin, (req, res) => {
+    const ids = parseNotificationIds(req, res);
+    if (!ids) return;
+    return respondWithReadState(req, res, () => updateNotifications(req.params.id, ids), 'marking notifications read');
+});
+
+app.post('/users/:id/notifications/delete', authenticate, requireSelfOrAdmin, (req, res) => {
+    const ids = parseNotificationIds(req, res);
+    if (!ids) return;
+    return respondWithReadState(req, res, () => updateNotifications(req.params.id, ids, { remove: true }), 'deleting notifications');
+});
+
+app.post('/users/:id/notifications/:notificationId/read', authenticate, requireSelfOrAdmin, (req, res) => {
+    return respondWithReadState(req, res, () => updateNotifications(req.params.id, [req.params.notificationId]), 'marking notification read');
+});
+
+app.delete('/users/:id/notifications/:notificationId', authenticate, requireSelfOrAdmin, (req, res) => {
+    return respondWithReadState(req, res, () => updateNotifications(req.params.id, [req.params.notificationId], { remove: true }), 'deleting notification');
+});
+
+// --- Notification Preferences ---
+app.get('/users/:id/preferences', authenticate, requireSelfOrAdmin, async (req, res) => {
+    try {
+        const preferences = await getPreferences(req.params.id);
+        res.status(200).json({
+            success: true,
+            preferences: preferences
+        });
+    } catch (e) {
+        console.error(`❌ Error reading preferences:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read preferences'
+        });
+    }
+});
+
+// PUT replaces the stored preferences; PATCH merges into them
+async function savePreferences(req, res, replace) {
+    const { value, error } = validatePreferences(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error
+        });
+    }
+
+    try {
+        const ref = preferencesRef(req.params.id);
+        const current = replace ? {} : (await ref.get()).data() || {};
+        const next = mergePreferences({
+            ...current,
+            ...value,
+            types: { ...current.types, ...value.types },
+            channels: { ...current.channels, ...value.channels },
+            quietHours: { ...current.quietHours, ...value.quietHours },
+            reviewAlerts: { ...current.reviewAlerts, ...value.reviewAlerts },
+            digest: { ...current.digest, ...value.digest },
+        });
+
+        await ref.set({
+            ...next,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        res.status(200).json({
+            success: true,
+            preferences: next
+        });
+    } catch (e) {
+        console.error(`❌ Error saving preferences:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save preferences'
+        });
+    }
+}
+
+app.put('/users/:id/preferences', authenticate, requireSelfOrAdmin, (req, res) => savePreferences(req, res, true));
+
+app.patch('/users/:id/preferences', authenticate, requireSelfOrAdmin, (req, res) => savePreferences(req, res, false));
+
+app.delete('/users/:id/preferences', authenticate, requireSelfOrAdmin, async (req, res) => {
+    try {
+        await preferencesRef(req.params.id).delete();
+        res.status(200).json({
+            success: true,
+            preferences: mergePreferences()
+        });
+    } catch (e) {
+        console.error(`❌ Error resetting preferences:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reset preferences'
+        });
+    }
+});
+
+// --- Email Digest Unsubscribe (signed link, no login) ---
+function unsubscribePage(message) {
+    return `<!DOCTYPE html><html><body style="font-family:sans-serif;text-align:center;padding:40px">${message}</body></html>`;
+}
+
+// GET only confirms, so link scanners that prefetch emails cannot unsubscribe anyone
+app.get('/digest/unsubscribe', (req, res) => {
+    const { uid, sig } = req.query;
+    if (!verifyUnsubscribe(uid, sig)) {
+        return res.status(403).send(unsubscribePage('<p>This unsubscribe link is invalid.</p>'));
+    }
+    const action = `/digest/unsubscribe?uid=${encodeURIComponent(uid)}&sig=${encodeURIComponent(sig)}`;
+    res.status(200).send(unsubscribePage(
+        `<form method="POST" action="${action}"><p>Stop receiving notification digest emails?</p><button type="submit">Unsubscribe</button></form>`
+    ));
+});
+
+// Also the target of mail clients' one-click unsubscribe (RFC 8058 List-Unsubscribe-Post)
+app.post('/digest/unsubscribe', async (req, res) => {
+    const { uid, sig } = req.query;
+    if (!verifyUnsubscribe(uid, sig)) {
+        return res.status(403).send(unsubscribePage('<p>This unsubscribe link is invalid.</p>'));
+    }
+    try {
+        await unsubscribeFromDigest(uid);
+        console.log(`📭 [Digest] ${uid} unsubscribed`);
+        res.status(200).send(unsubscribePage('<p>You will no longer receive digest emails.</p>'));
+    } catch (e) {
+        console.error(`❌ Error unsubscribing from digest:`, e);
+        res.status(500).send(unsubscribePage('<p>Something went wrong. Please try again later.</p>'));
+    }
+});
+
+// --- Topic Subscriptions (follow a place or user) ---
+function parseTopicTarget(req, res) {
+    const { targetType, targetId } = { ...req.body, ...req.params };
+    if (!TOPIC_TARGET_TYPES.includes(targetType) || !targetId || typeof targetId !== 'string') {
+        res.status(400).json({
+            success: false,
+            error: `targetType must be one of ${TOPIC_TARGET_TYPES.join(', ')} and targetId is required`
+        });
+        return null;
+    }
+    return { targetType, targetId };
+}
+
+app.get('/users/:id/subscriptions', authenticate, requireSelfOrAdmin, async (req, res) => {
+    try {
+        const snapshot = await topicSubscriptionsRef(req.params.id).get();
+        res.status(200).json({
+            success: true,
+            subscriptions: snapshot.docs.map(doc => ({
+                ...doc.data(),
+                createdAt: doc.data().createdAt?.toDate?.().toISOString() || null,
+            }))
+        });
+    } catch (e) {
+        console.error(`❌ Error listing subscriptions:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list subscriptions'
+        });
+    }
+});
+
+app.post('/users/:id/subscriptions', authenticate, requireSelfOrAdmin, async (req, res) => {
+    const target = parseTopicTarget(req, res);
+    if (!target) return;
+
+    try {
+        // A user subscription only adds push to the follower fan-out, so it needs a follow
+        if (target.targetType === 'user' && !(await getFollowerIds(target.targetId)).includes(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'You must follow this user to subscribe to their posts'
+            });
+        }
+
+        const topic = await subscribeUserToTopic(req.params.id, target.targetType, target.targetId);
+        res.status(200).json({
+            success: true,
+            topic: topic
+        });
+    } catch (e) {
+        console.error(`❌ Error subscribing to topic:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to subscribe'
+        });
+    }
+});
+
+app.delete('/users/:id/subscriptions/:targetType/:targetId', authenticate, requireSelfOrAdmin, async (req, res) => {
+    const target = parseTopicTarget(req, res);
+    if (!target) return;
+
+    try {
+        const topic = await unsubscribeUserFromTopic(req.params.id, target.targetType, target.targetId);
+        res.status(200).json({
+            success: true,
+            topic: topic
+        });
+    } catch (e) {
+        console.error(`❌ Error unsubscribing from topic:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to unsubscribe'
+        });
+    }
+});
+
+// --- Manually Send Notification ---
+// Types with a template take `variables` and are localized per recipient;
+// other types still need a literal `title` and `body`.
+app.post('/send-notification', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const { toUserId, type, title, body, variables = {}, senderName, senderAvatar, targetId, targetType, extraData = {} } = req.body;
+        const templated = hasTemplate(type);
+
+        if (!toUserId || !type || (!templated && (!title || !body))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields'
+            });
+        }
+
+        console.log(`📤 [API] Sending ${type} notification to ${toUserId}`);
+
+        const data = {
+            senderName: senderName || '',
+            senderAvatar: senderAvatar || '',
+            targetId: targetId || '',
+            targetType: targetType || '',
+            ...extraData
+        };
+        const success = templated
+            ? await sendLocalizedNotification(toUserId, type, { senderName, targetType, ...variables }, data)
+            : await sendAndLogNotification(toUserId, title, body, type, data);
+
+        if (success) {
+            res.status(200).json({
+                success: true,
+                message: 'Notification sent and saved'
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                error: 'Failed to send notification'
+            });
+        }
+    } catch (error) {
+        console.error(`❌ [API] Error:`, error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// --- Outbox Admin (inspect and replay dead-lettered messages) ---
+function serializeOutboxItem(doc) {
+    const item = doc.data();
+    const result = { id: doc.id, ...item };
+    for (const key of ['nextAttemptAt', 'lockedUntil', 'createdAt', 'updatedAt', 'sentAt', 'expireAt']) {
+        result[key] = item[key]?.toDate?.().toISOString() || null;
+    }
+    return result;
+}
+
+app.get('/admin/outbox', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const status = req.query.status || 'dead';
+        const { limit, error: limitError } = parseLimit(req.query.limit);
+        if (limitError) {
+            return res.status(400).json({
+                success: false,
+                error: limitError
+            });
+        }
+        const snapshot = await outboxRef().where('status', '==', status).orderBy('updatedAt', 'desc').limit(limit).get();
+
+        res.status(200).json({
+            success: true,
+            items: snapshot.docs.map(serializeOutboxItem)
+        });
+    } catch (e) {
+        console.error(`❌ Error listing outbox:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list outbox'
+        });
+    }
+});
+
+app.post('/admin/outbox/:id/replay', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const ref = outboxRef().doc(req.params.id);
+        const doc = await ref.get();
+        if (!doc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Outbox item not found'
+            });
+        }
+        if (doc.data().status !== 'dead') {
+            return res.status(409).json({
+                success: false,
+                error: `Only dead-lettered items can be replayed (status: ${doc.data().status})`
+            });
+        }
+
+        await ref.update({
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: admin.firestore.Timestamp.now(),
+            lastError: null,
+            replayedBy: req.user.uid,
+            replayedAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        const sent = await processOutboxItem(ref);
+
+        res.status(200).json({
+            success: true,
+            sent: sent,
+            item: serializeOutboxItem(await ref.get())
+        });
+    } catch (e) {
+        console.error(`❌ Error replaying outbox item:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to replay outbox item'
+        });
+    }
+});
+
+// --- Place Webhooks (owner integrations) ---
+async function requirePlaceOwner(req, res, next) {
+    try {
+        if (isAdmin(req.user)) return next();
+        const ownerId = await getPlaceOwnerId(req.params.placeId);
+        if (!ownerId) return sendError(res, 404, 'not_found', 'Place not found');
+        if (ownerId !== req.user.uid) {
+            return sendError(res, 403, 'forbidden', 'Only the place owner can manage its webhooks');
+        }
+        next();
+    } catch (e) {
+        console.error(`❌ Error checking place ownership:`, e);
+        sendError(res, 500, 'internal', 'Failed to check place ownership');
+    }
+}
+
+// The signing secret is only returned when the webhook is created
+function serializeWebhook(doc) {
+    const { secret, ...webhook } = doc.data();
+    const result = { ...webhook, id: doc.id, hasSecret: !!secret };
+    for (const key of ['createdAt', 'updatedAt', 'disabledAt', 'lastDeliveryAt']) {
+        result[key] = webhook[key]?.toDate?.().toISOString() || null;
+    }
+    return result;
+}
+
+function serializeWebhookDelivery(doc) {
+    const delivery = doc.data();
+    const result = { ...delivery, id: doc.id };
+    // Response bodies are no longer stored; older log entries may still carry one
+    delete result.lastResponseBody;
+    for (const key of ['nextAttemptAt', 'lockedUntil', 'createdAt', 'updatedAt', 'deliveredAt', 'expireAt']) {
+        result[key] = delivery[key]?.toDate?.().toISOString() || null;
+    }
+    return result;
+}
+
+// Resolves the webhook doc if it belongs to the place in the URL
+async function getPlaceWebhook(req, res) {
+    const doc = await webhooksRef().doc(req.params.webhookId).get();
+    if (!doc.exists || doc.data().placeId !== req.params.placeId) {
+        res.status(404).json({
+            success: false,
+            error: 'Webhook not found'
+        });
+        return null;
+    }
+    return doc;
+}
+
+app.post('/places/:placeId/webhooks', authenticate, requirePlaceOwner, async (req, res) => {
+    const { value, error } = validateWebhook(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error
+        });
+    }
+
+    try {
+        const ownerId = (await getPlaceOwnerId(req.params.placeId)) || req.user.uid;
+        const created = await createWebhook(req.params.placeId, ownerId, value);
+        if (created.error) {
+            return res.status(409).json({
+                success: false,
+                error: created.error
+            });
+        }
+
+        console.log(`🪝 [API] Webhook ${created.ref.id} registered for place ${req.params.placeId}`);
+        res.status(201).json({
+            success: true,
+            webhook: serializeWebhook(await created.ref.get()),
+            secret: created.secret
+        });
+    } catch (e) {
+        console.error(`❌ Error creating webhook:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create webhook'
+        });
+    }
+});
+
+app.get('/places/:placeId/webhooks', authenticate, requirePlaceOwner, async (req, res) => {
+    try {
+        const snapshot = await webhooksRef().where('placeId', '==', req.params.placeId).get();
+        res.status(200).json({
+            success: true,
+            webhooks: snapshot.docs.map(serializeWebhook)
+        });
+    } catch (e) {
+        console.error(`❌ Error listing webhooks:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list webhooks'
+        });
+    }
+});
+
+// Setting active back to true re-enables an auto-disabled webhook
+app.patch('/places/:placeId/webhooks/:webhookId', authenticate, requirePlaceOwner, async (req, res) => {
+    const { value, error } = validateWebhook(req.body, { partial: true });
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error
+        });
+    }
+
+    try {
+        const doc = await getPlaceWebhook(req, res);
+        if (!doc) return;
+
+        await doc.ref.update({
+            ...value,
+            ...(value.active === true ? { consecutiveFailures: 0, disabledAt: null, disabledReason: null } : {}),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        res.status(200).json({
+            success: true,
+            webhook: serializeWebhook(await doc.ref.get())
+        });
+    } catch (e) {
+        console.error(`❌ Error updating webhook:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update webhook'
+        });
+    }
+});
+
+app.delete('/places/:placeId/webhooks/:webhookId', authenticate, requirePlaceOwner, async (req, res) => {
+    try {
+        const doc = await getPlaceWebhook(req, res);
+        if (!doc) return;
+
+        await doc.ref.delete();
+        res.status(200).json({
+            success: true,
+            message: 'Webhook deleted'
+        });
+    } catch (e) {
+        console.error(`❌ Error deleting webhook:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete webhook'
+        });
+    }
+});
+
+// Delivery log, newest first; ?status=pending|delivered|failed narrows it
+app.get('/places/:placeId/webhooks/:webhookId/deliveries', authenticate, requirePlaceOwner, async (req, res) => {
+    try {
+        const doc = await getPlaceWebhook(req, res);
+        if (!doc) return;
+
+        const { limit, error: limitError } = parseLimit(req.query.limit);
+        if (limitError) {
+            return res.status(400).json({
+                success: false,
+                error: limitError
+            });
+        }
+        let query = webhookDeliveriesRef().where('webhookId', '==', doc.id);
+        if (req.query.status) query = query.where('status', '==', req.query.status);
+        const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+
+        res.status(200).json({
+            success: true,
+            deliveries: snapshot.docs.map(serializeWebhookDelivery)
+        });
+    } catch (e) {
+        console.error(`❌ Error listing webhook deliveries:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list webhook deliveries'
+        });
+    }
+});
+
+// --- User Webhook (the `webhook` delivery channel) ---
+app.get('/users/:id/webhook', authenticate, requireSelfOrAdmin, async (req, res) => {
+    try {
+        const doc = await userWebhookRef(req.params.id).get();
+        if (!doc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Webhook not found'
+            });
+        }
+        const { secret, url, createdAt, updatedAt } = doc.data();
+        res.status(200).json({
+            success: true,
+            webhook: {
+                url: url,
+                hasSecret: !!secret,
+                createdAt: createdAt?.toDate?.().toISOString() || null,
+                updatedAt: updatedAt?.toDate?.().toISOString() || null,
+            }
+        });
+    } catch (e) {
+        console.error(`❌ Error reading user webhook:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read webhook'
+        });
+    }
+});
+
+// The signing secret is only returned when the endpoint is first set
+app.put('/users/:id/webhook', authenticate, requireSelfOrAdmin, async (req, res) => {
+    const { value, error } = validateWebhookUrl(req.body?.url);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error
+        });
+    }
+
+    try {
+        const { secret } = await saveUserWebhook(req.params.id, value);
+        console.log(`🪝 [API] Webhook set for user ${req.params.id}`);
+        res.status(200).json({
+            success: true,
+            url: value,
+            ...(secret ? { secret: secret } : {})
+        });
+    } catch (e) {
+        console.error(`❌ Error saving user webhook:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save webhook'
+        });
+    }
+});
+
+app.delete('/users/:id/webhook', authenticate, requireSelfOrAdmin, async (req, res) => {
+    try {
+        await userWebhookRef(req.params.id).delete();
+        res.status(200).json({
+            success: true,
+            message: 'Webhook deleted'
+        });
+    } catch (e) {
+        console.error(`❌ Error deleting user webhook:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete webhook'
+        });
+    }
+});
+
+// --- Scheduled Notifications ---
+// Admins may schedule for anyone; other callers only for themselves.
+function serializeScheduled(doc) {
+    const item = doc.data();
+    const result = { ...item, id: doc.id };
+    for (const key of ['sendAt', 'anchorAt', 'lockedUntil', 'lastSentAt', 'createdAt', 'updatedAt', 'cancelledAt']) {
+        result[key] = item[key]?.toDate?.().toISOString() || null;
+    }
+    if (item.recurrence) {
+        result.recurrence = { ...item.recurrence, until: item.recurrence.until?.toDate?.().toISOString() || null };
+    }
+    return result;
+}
+
+app.post('/notifications/schedule', authenticate, async (req, res) => {
+    const { value, error } = validateSchedule(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error
+        });
+    }
+    if (value.toUserId !== req.user.uid && !isAdmin(req.user)) {
+        return sendError(res, 403, 'forbidden', 'Cannot schedule notifications for another user');
+    }
+
+    try {
+        const ref = await scheduleNotification(value, req.user.uid);
+        res.status(201).json({
+            success: true,
+            scheduled: serializeScheduled(await ref.get())
+        });
+    } catch (e) {
+        console.error(`❌ Error scheduling notification:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to schedule notification'
+        });
+    }
+});
+
+app.get('/notifications/scheduled', authenticate, async (req, res) => {
+    try {
+        // Non-admins always see only what is scheduled for them
+        const toUserId = isAdmin(req.user) ? req.query.toUserId : req.user.uid;
+        const { limit, error: limitError } = parseLimit(req.query.limit);
+        if (limitError) {
+            return res.status(400).json({
+                success: false,
+                error: limitError
+            });
+        }
+
+        let query = scheduledRef();
+        if (toUserId) query = query.where('toUserId', '==', toUserId);
+        if (req.query.status) query = query.where('status', '==', req.query.status);
+        const snapshot = await query.orderBy('sendAt').limit(limit).get();
+
+        res.status(200).json({
+            success: true,
+            scheduled: snapshot.docs.map(serializeScheduled)
+        });
+    } catch (e) {
+        console.error(`❌ Error listing scheduled notifications:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list scheduled notifications'
+        });
+    }
+});
+
+app.post('/notifications/scheduled/:id/cancel', authenticate, async (req, res) => {
+    try {
+        const ref = scheduledRef().doc(req.params.id);
+        const doc = await ref.get();
+        if (!doc.exists || (doc.data().toUserId !== req.user.uid && !isAdmin(req.user))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Scheduled notification not found'
+            });
+        }
+
+        const result = await cancelScheduledNotification(ref, req.user.uid);
+        if (result.error) {
+            return res.status(409).json({
+                success: false,
+                error: `Scheduled notification cannot be cancelled (status: ${result.status})`
+            });
+        }
+        res.status(200).json({
+            success: true,
+            status: result.status
+        });
+    } catch (e) {
+        console.error(`❌ Error cancelling scheduled notification:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel scheduled notification'
+        });
+    }
+});
+
+// --- Campaigns (admin broadcasts to user segments, sent by the worker) ---
+function serializeCampaign(doc) {
+    const campaign = doc.data();
+    const result = { ...campaign, id: doc.id };
+    for (const key of ['createdAt', 'updatedAt', 'startedAt', 'completedAt', 'cancelledAt', 'heartbeatAt']) {
+        result[key] = campaign[key]?.toDate?.().toISOString() || null;
+    }
+    // Explicit ID lists can be large; report the size only
+    if (campaign.segment?.type === 'users') {
+        result.segment = { type: 'users', userCount: campaign.segment.userIds.length };
+    }
+    return result;
+}
+
+app.post('/admin/campaigns', authenticate, requireAdmin, async (req, res) => {
+    const { title, body, translations, data, segment } = req.body;
+    if (!title || !body) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing required fields'
+        });
+    }
+
+    const { value, error } = validateSegment(segment);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error
+        });
+    }
+
+    const content = validateCampaignContent({ translations, data });
+    if (content.error) {
+        return res.status(400).json({
+            success: false,
+            error: content.error
+        });
+    }
+
+    try {
+        const ref = await createCampaign({ title, body, ...content.value, segment: value }, req.user.uid);
+        console.log(`📢 [API] Campaign ${ref.id} queued by ${req.user.uid} (${value.type})`);
+        res.status(202).json({
+            success: true,
+            campaign: serializeCampaign(await ref.get())
+        });
+    } catch (e) {
+        console.error(`❌ Error creating campaign:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create campaign'
+        });
+    }
+});
+
+app.get('/admin/campaigns', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const { limit, error: limitError } = parseLimit(req.query.limit);
+        if (limitError) {
+            return res.status(400).json({
+                success: false,
+                error: limitError
+            });
+        }
+        const snapshot = await campaignsRef().orderBy('createdAt', 'desc').limit(limit).get();
+        res.status(200).json({
+            success: true,
+            campaigns: snapshot.docs.map(serializeCampaign)
+        });
+    } catch (e) {
+        console.error(`❌ Error listing campaigns:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list campaigns'
+        });
+    }
+});
+
+app.get('/admin/campaigns/:id', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const doc = await campaignsRef().doc(req.params.id).get();
+        if (!doc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Campaign not found'
+            });
+        }
+        res.status(200).json({
+            success: true,
+            campaign: serializeCampaign(doc)
+        });
+    } catch (e) {
+        console.error(`❌ Error reading campaign:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to read campaign'
+        });
+    }
+});
+
+app.post('/admin/campaigns/:id/cancel', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const result = await cancelCampaign(req.params.id, req.user.uid);
+        if (result.error === 'not_found') {
+            return res.status(404).json({
+                success: false,
+                error: 'Campaign not found'
+            });
+        }
+        if (result.error) {
+            return res.status(409).json({
+                success: false,
+                error: `Campaign cannot be cancelled (status: ${result.status})`
+            });
+        }
+        res.status(200).json({
+            success: true,
+            status: result.status
+        });
+    } catch (e) {
+        console.error(`❌ Error cancelling campaign:`, e);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel campaign'
+        });
+    }
+});
+
+// --- Health Checks ---
+app.get('/health', (req, res) => {
+    res.status(200).json({
+        status: 'OK',
+        timestamp: new Date().toISOString(),
+        service: 'Notification Server',
+        // Only meaningful where the worker runs; `enabled` is false in API-only mode
+        leadership: getLeadershipStatus()
+    });
+});
+
+app.get('/ping', (req, res) => {
+    res.status(200).send('Server is awake!');
+});
+
+app.get('/', (req, res) => {
+    res.send('Notification Server is running!');
+});
+
+// --- Debug/Test Endpoint ---
+app.post('/test-notification', devOnly, authenticate, async (req, res) => {
+    try {
+        const { type = 'test', title = 'Test', body = 'Test notification' } = req.body;
+        const userId = req.user.uid;
+
+        const success = await sendAndLogNotification(
+            userId,
+            title,
+            body,
+            type,
+            {
+                senderId: 'test_sender',
+                senderName: 'Test User',
+                targetId: 'test_target',
+                targetType: 'test',
+                test: 'true'
+            }
+        );
+
+        res.json({ success, message: success ? 'Test sent' : 'Failed' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+
+module.exports = app;
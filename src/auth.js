@@ -0,0 +1,67 @@
+const { admin } = require('./firebase');
+
+const IS_DEV = process.env.NODE_ENV === 'development';
+const ADMIN_UIDS = (process.env.ADMIN_UIDS || '').split(',').map(uid => uid.trim()).filter(Boolean);
+
+/**
+ * AUTH: Firebase ID token verification and role checks
+ */
+function sendError(res, status, code, error) {
+    return res.status(status).json({
+        success: false,
+        error: error,
+        code: code
+    });
+}
+
+async function authenticate(req, res, next) {
+    const header = req.headers.authorization || '';
+    const [scheme, idToken] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !idToken) {
+        return sendError(res, 401, 'unauthenticated', 'Missing or malformed Authorization header');
+    }
+
+    try {
+        req.user = await admin.auth().verifyIdToken(idToken);
+        next();
+    } catch (e) {
+        console.warn(`[authenticate] Rejected ID token:`, e.code || e.message);
+        return sendError(res, 401, 'unauthenticated', 'Invalid or expired ID token');
+    }
+}
+
+function isAdmin(user) {
+    return !!user && (user.admin === true || ADMIN_UIDS.includes(user.uid));
+}
+
+function requireAdmin(req, res, next) {
+    if (!isAdmin(req.user)) {
+        return sendError(res, 403, 'forbidden', 'Admin privileges required');
+    }
+    next();
+}
+
+// For /users/:id/... routes: callers may only act on themselves unless admin
+function requireSelfOrAdmin(req, res, next) {
+    if (req.user.uid !== req.params.id && !isAdmin(req.user)) {
+        return sendError(res, 403, 'forbidden', 'Cannot access another user\'s data');
+    }
+    next();
+}
+
+function devOnly(req, res, next) {
+    if (!IS_DEV) {
+        return sendError(res, 403, 'forbidden', 'Endpoint is only available in development');
+    }
+    next();
+}
+
+module.exports = {
+    sendError,
+    authenticate,
+    isAdmin,
+    requireAdmin,
+    requireSelfOrAdmin,
+    devOnly,
+};
@@ -0,0 +1,451 @@
+const { admin, db } = require('./firebase');
+const { FIRESTORE_BATCH_LIMIT, chunk } = require('./utils');
+const { getActiveDevices, applyDeliveryOutcomes } = require('./devices');
+const { notificationsRef } = require('./inbox');
+const { preferencesRef, mergePreferences, resolveDeliveryMode, getQuietHoursEnd } = require('./preferences');
+const { buildPushMessage } = require('./push');
+const { selectChannels, deliverToChannels } = require('./channels');
+const { buildNotificationDoc, channelFields } = require('./notifications');
+const { LOCALES, resolveLocale } = require('./templates');
+const { topicFor } = require('./topics');
+const { getLeadershipStatus } = require('./leader');
+
+/**
+ * CAMPAIGNS: Admin broadcasts to user segments (Campaigns/{id})
+ *
+ * The API only creates the campaign; the worker claims queued campaigns and
+ * sends page by page, storing a cursor so a restarted worker resumes where
+ * the previous one stopped. Cancelling, or the worker losing leadership,
+ * takes effect before the next chunk of pushes. Pushes go out in bulk with
+ * sendEach; each recipient's other delivery channels (see channels.js) run
+ * one by one.
+ */
+const CAMPAIGN_TYPE = 'campaign';
+const CAMPAIGN_PAGE_SIZE = 500;
+const FCM_SEND_EACH_LIMIT = 500;
+const CAMPAIGN_POLL_INTERVAL_MS = 15 * 1000;
+// A running campaign whose heartbeat is older than this is resumed
+const CAMPAIGN_STALE_MS = 2 * 60 * 1000;
+const SEGMENT_TYPES = ['all', 'language', 'city', 'place_followers', 'users'];
+const MAX_EXPLICIT_USERS = 10000;
+// FCM rejects these data keys, and the whole data payload must stay under 4KB
+const RESERVED_DATA_KEY = /^(from|notification|message_type|collapse_key|google\..*|gcm\..*)$/;
+const MAX_DATA_BYTES = 3000;
+
+function campaignsRef() {
+    return db.collection('Campaigns');
+}
+
+/**
+ * Validates a segment definition. Returns `{ error }` or `{ value }`.
+ */
+function validateSegment(segment) {
+    if (!segment || !SEGMENT_TYPES.includes(segment.type)) {
+        return { error: `segment.type must be one of ${SEGMENT_TYPES.join(', ')}` };
+    }
+    switch (segment.type) {
+        case 'all':
+            return { value: { type: 'all' } };
+        case 'language':
+            if (!segment.language) return { error: 'segment.language is required' };
+            return { value: { type: 'language', language: String(segment.language) } };
+        case 'city':
+            if (!segment.city) return { error: 'segment.city is required' };
+            return { value: { type: 'city', city: String(segment.city) } };
+        case 'place_followers':
+            if (!segment.placeId) return { error: 'segment.placeId is required' };
+            return { value: { type: 'place_followers', placeId: String(segment.placeId) } };
+        case 'users': {
+            const userIds = [...new Set(segment.userIds || [])].filter(id => typeof id === 'string' && id);
+            if (!userIds.length || userIds.length > MAX_EXPLICIT_USERS) {
+                return { error: `segment.userIds must list 1 to ${MAX_EXPLICIT_USERS} user IDs` };
+            }
+            return { value: { type: 'users', userIds: userIds } };
+        }
+    }
+}
+
+/**
+ * Validates the optional `data` (flat string/number/boolean values, sent as
+ * FCM data) and `translations` (`{ [locale]: { title?, body? } }`) of a
+ * campaign. Returns `{ error }` or `{ value: { data, translations } }`.
+ */
+function validateCampaignContent({ data, translations }) {
+    const value = { data: {}, translations: {} };
+
+    if (data !== undefined && data !== null) {
+        if (typeof data !== 'object' || Array.isArray(data)) return { error: 'data must be an object' };
+        for (const [key, item] of Object.entries(data)) {
+            if (RESERVED_DATA_KEY.test(key)) return { error: `data.${key} is a reserved key` };
+            if (!['string', 'number', 'boolean'].includes(typeof item)) {
+                return { error: `data.${key} must be a string, number or boolean` };
+            }
+            value.data[key] = String(item);
+        }
+        if (Buffer.byteLength(JSON.stringify(value.data)) > MAX_DATA_BYTES) {
+            return { error: `data must be under ${MAX_DATA_BYTES} bytes` };
+        }
+    }
+
+    if (translations !== undefined && translations !== null) {
+        if (typeof translations !== 'object' || Array.isArray(translations)) return { error: 'translations must be an object' };
+        for (const [locale, translation] of Object.entries(translations)) {
+            if (!LOCALES.includes(locale)) return { error: `translations.${locale}: locale must be one of ${LOCALES.join(', ')}` };
+            if (!translation || typeof translation !== 'object') return { error: `translations.${locale} must be an object` };
+            const { title, body } = translation;
+            if ((title !== undefined && typeof title !== 'string') || (body !== undefined && typeof body !== 'string')) {
+                return { error: `translations.${locale}.title and .body must be strings` };
+            }
+            value.translations[locale] = { ...(title ? { title } : {}), ...(body ? { body } : {}) };
+        }
+    }
+
+    return { value };
+}
+
+/**
+ * Returns the next page of recipient IDs for a segment and the cursor to
+ * continue from (null when the segment is exhausted).
+ */
+async function fetchSegmentPage(segment, cursor) {
+    if (segment.type === 'users') {
+        const start = Number(cursor) || 0;
+        const userIds = segment.userIds.slice(start, start + CAMPAIGN_PAGE_SIZE);
+        const next = start + userIds.length;
+        return { userIds, nextCursor: next < segment.userIds.length ? String(next) : null };
+    }
+
+    const documentId = admin.firestore.FieldPath.documentId();
+    let query;
+    if (segment.type === 'place_followers') {
+        query = db.collectionGroup('TopicSubscriptions').where('topic', '==', topicFor('place', segment.placeId));
+    } else {
+        query = db.collection('Users');
+        if (segment.type === 'language') query = query.where('language', '==', segment.language);
+        if (segment.type === 'city') query = query.where('city', '==', segment.city);
+    }
+    query = query.orderBy(documentId).limit(CAMPAIGN_PAGE_SIZE);
+    if (cursor) query = query.startAfter(cursor);
+
+    const snapshot = await query.get();
+    const docs = snapshot.docs;
+    // Subscriptions live at Users/{id}/TopicSubscriptions/{topic}
+    const userIds = segment.type === 'place_followers'
+        ? docs.map(doc => doc.ref.parent.parent.id)
+        : docs.map(doc => doc.id);
+    const last = docs[docs.length - 1];
+    const nextCursor = docs.length === CAMPAIGN_PAGE_SIZE
+        ? (segment.type === 'place_followers' ? last.ref.path : last.id)
+        : null;
+    return { userIds, nextCursor };
+}
+
+async function createCampaign({ title, body, translations, data, segment }, createdBy) {
+    const ref = campaignsRef().doc();
+    await ref.set({
+        id: ref.id,
+        title: title,
+        body: body,
+        translations: translations || {},
+        data: data || {},
+        segment: segment,
+        status: 'queued',
+        cursor: null,
+        progress: {
+            processedUsers: 0,
+            successCount: 0,
+            failureCount: 0,
+            skippedCount: 0,
+        },
+        createdBy: createdBy,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        heartbeatAt: null,
+    });
+    return ref;
+}
+
+// Queued and running campaigns can be cancelled; a running one stops at its next page
+async function cancelCampaign(campaignId, cancelledBy) {
+    const ref = campaignsRef().doc(campaignId);
+    return db.runTransaction(async transaction => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) return { error: 'not_found' };
+        const { status } = doc.data();
+        if (!['queued', 'running'].includes(status)) return { error: 'not_cancellable', status };
+
+        transaction.update(ref, {
+            status: 'cancelled',
+            cancelledBy: cancelledBy,
+            cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return { status: 'cancelled' };
+    });
+}
+
+async function claimCampaign(ref) {
+    return db.runTransaction(async transaction => {
+        const doc = await transaction.get(ref);
+        const campaign = doc.data();
+        const stale = campaign.status === 'running' && (campaign.heartbeatAt?.toMillis() || 0) < Date.now() - CAMPAIGN_STALE_MS;
+        if (campaign.status !== 'queued' && !stale) return null;
+
+        transaction.update(ref, {
+            status: 'running',
+            startedAt: campaign.startedAt || admin.firestore.FieldValue.serverTimestamp(),
+            heartbeatAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return campaign;
+    });
+}
+
+function localizedContent(campaign, userData) {
+    const translation = campaign.translations?.[resolveLocale(userData.language)];
+    return {
+        title: translation?.title || campaign.title,
+        body: translation?.body || campaign.body,
+    };
+}
+
+/**
+ * Sends one page of a campaign: skips users already handled (so a resumed
+ * page is not sent twice), honours preferences, pushes to every device with
+ * sendEach, runs each recipient's other channels and writes the inbox
+ * entries. `isInterrupted` is checked before every chunk of pushes; when it
+ * says stop, only recipients whose pushes all went out are recorded and
+ * `interrupted` is set. Returns counters for the campaign progress.
+ */
+async function sendCampaignPage(campaign, userIds, isInterrupted = async () => false) {
+    const notificationId = `campaign_${campaign.id}`;
+    const counts = { processedUsers: userIds.length, successCount: 0, failureCount: 0, skippedCount: 0 };
+    if (!userIds.length) return counts;
+
+    const [userDocs, existingDocs, preferenceDocs] = await Promise.all([
+        db.getAll(...userIds.map(id => db.collection('Users').doc(id))),
+        db.getAll(...userIds.map(id => notificationsRef(id).doc(notificationId))),
+        db.getAll(...userIds.map(id => preferencesRef(id))),
+    ]);
+
+    const recipients = [];
+    for (let i = 0; i < userIds.length; i++) {
+        const preferences = mergePreferences(preferenceDocs[i].exists ? preferenceDocs[i].data() : {});
+        const mode = resolveDeliveryMode(preferences, CAMPAIGN_TYPE);
+        if (!userDocs[i].exists || existingDocs[i].exists || mode === 'off') {
+            counts.skippedCount++;
+            continue;
+        }
+
+        const userData = userDocs[i].data();
+        const { title, body } = localizedContent(campaign, userData);
+        const deferredUntil = mode === 'push' ? getQuietHoursEnd(preferences.quietHours) : null;
+        const notification = buildNotificationDoc({
+            id: notificationId,
+            recipientId: userIds[i],
+            title: title,
+            body: body,
+            type: CAMPAIGN_TYPE,
+            data: { targetId: campaign.id, targetType: CAMPAIGN_TYPE },
+            extraData: { ...campaign.data, campaignId: campaign.id },
+            locale: resolveLocale(userData.language),
+            deferredUntil: deferredUntil,
+        });
+
+        // Deferred recipients get the external channels from the deferred delivery loop
+        const names = selectChannels(preferences, { external: mode === 'push' && !deferredUntil });
+        const devices = names.includes('fcm') ? await getActiveDevices(userIds[i], userData) : [];
+        recipients.push({ userId: userIds[i], userData, notification, names, devices, deliveries: [] });
+    }
+
+    // One message per device, sent in chunks of 500
+    const outgoing = [];
+    recipients.forEach(recipient => {
+        const message = buildPushMessage(recipient.notification, (recipient.userData.unreadCount || 0) + 1);
+        recipient.devices.forEach(device => outgoing.push({ recipient, device, message: { ...message, token: device.token } }));
+    });
+
+    for (const batch of chunk(outgoing, FCM_SEND_EACH_LIMIT)) {
+        if (await isInterrupted()) {
+            counts.interrupted = true;
+            break;
+        }
+        const response = await admin.messaging().sendEach(batch.map(entry => entry.message));
+        response.responses.forEach((result, i) => {
+            const { recipient, device } = batch[i];
+            recipient.deliveries.push({
+                deviceId: device.id,
+                platform: device.platform || 'unknown',
+                success: result.success,
+                messageId: result.messageId || null,
+                errorCode: result.error?.code || null,
+                errorMessage: result.error?.message || null,
+            });
+        });
+    }
+
+    // Recipients left unsent by an interruption get no inbox entry, so a resumed page sends to them
+    const finished = recipients.filter(recipient => recipient.deliveries.length === recipient.devices.length);
+    if (counts.interrupted) counts.processedUsers = counts.skippedCount + finished.length;
+
+    for (const recipient of finished) {
+        const { userId, userData, notification, names, devices, deliveries } = recipient;
+        const { results } = await deliverToChannels(
+            names.filter(name => name !== 'fcm'),
+            { recipientId: userId, userData, notification, badgeCount: (userData.unreadCount || 0) + 1 }
+        );
+        if (names.includes('fcm')) results.fcm = await fcmResult(userId, devices, deliveries);
+        Object.assign(notification, channelFields(results));
+
+        const attempted = Object.keys(results).filter(name => name !== 'in_app' && results[name].status !== 'skipped');
+        if (attempted.some(name => results[name].status === 'sent')) {
+            counts.successCount++;
+        } else if (attempted.length) {
+            counts.failureCount++;
+        }
+    }
+
+    // Each recipient is two writes (inbox entry + unread counter)
+    for (const batchRecipients of chunk(finished, FIRESTORE_BATCH_LIMIT / 2)) {
+        const batch = db.batch();
+        batchRecipients.forEach(({ userId, notification }) => {
+            batch.set(notificationsRef(userId).doc(notificationId), notification);
+            batch.set(db.collection('Users').doc(userId), {
+                unreadCount: admin.firestore.FieldValue.increment(1),
+            }, { merge: true });
+        });
+        await batch.commit();
+    }
+    return counts;
+}
+
+// The fcm channel result for pushes sent in bulk, shaped like the one the channel itself returns
+async function fcmResult(userId, devices, deliveries) {
+    const at = admin.firestore.Timestamp.now();
+    if (!devices.length) return { status: 'skipped', retryable: false, error: 'No registered devices', at };
+
+    await applyDeliveryOutcomes(userId, devices, deliveries);
+    const successes = deliveries.filter(delivery => delivery.success);
+    return {
+        status: successes.length ? 'sent' : 'failed',
+        retryable: !successes.length && deliveries.some(delivery => delivery.action === 'retry'),
+        error: successes.length ? null : 'No device accepted the push',
+        fcmMessageId: successes.length ? successes[0].messageId : null,
+        deliveredCount: successes.length,
+        deliveries: deliveries,
+        at: at,
+    };
+}
+
+async function runCampaign(ref, shouldStop) {
+    const campaign = await claimCampaign(ref);
+    if (!campaign) return;
+    console.log(`📢 [Campaign] ${ref.id} running`);
+
+    // Stop when this worker is no longer the leader or the campaign was cancelled
+    const isInterrupted = async () => shouldStop() || (await ref.get()).data().status !== 'running';
+    const FieldValue = admin.firestore.FieldValue;
+
+    let cursor = campaign.cursor;
+    while (true) {
+        if (await isInterrupted()) {
+            await releaseCampaign(ref, shouldStop());
+            return;
+        }
+
+        const { userIds, nextCursor } = await fetchSegmentPage(campaign.segment, cursor);
+        const counts = await sendCampaignPage(campaign, userIds, isInterrupted);
+        if (!counts.interrupted) cursor = nextCursor;
+
+        await ref.update({
+            cursor: cursor,
+            'progress.processedUsers': FieldValue.increment(counts.processedUsers),
+            'progress.successCount': FieldValue.increment(counts.successCount),
+            'progress.failureCount': FieldValue.increment(counts.failureCount),
+            'progress.skippedCount': FieldValue.increment(counts.skippedCount),
+            heartbeatAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp(),
+            ...(cursor || counts.interrupted ? {} : { status: 'completed', completedAt: FieldValue.serverTimestamp() }),
+        });
+
+        if (counts.interrupted) {
+            await releaseCampaign(ref, shouldStop());
+            return;
+        }
+        if (!cursor) {
+            console.log(`✅ [Campaign] ${ref.id} completed`);
+            return;
+        }
+    }
+}
+
+// A campaign given up by a demoted worker goes back to the queue for the next leader
+async function releaseCampaign(ref, demoted) {
+    if (!demoted) {
+        console.log(`[Campaign] ${ref.id} stopped (${(await ref.get()).data().status})`);
+        return;
+    }
+    await db.runTransaction(async transaction => {
+        const doc = await transaction.get(ref);
+        if (doc.data().status !== 'running') return;
+        transaction.update(ref, {
+            status: 'queued',
+            heartbeatAt: null,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+    });
+    console.log(`[Campaign] ${ref.id} handed back to the queue (worker stopped)`);
+}
+
+async function processCampaigns(shouldStop) {
+    const snapshot = await campaignsRef().where('status', 'in', ['queued', 'running']).orderBy('createdAt').limit(5).get();
+    for (const doc of snapshot.docs) {
+        if (shouldStop()) return;
+        try {
+            await runCampaign(doc.ref, shouldStop);
+        } catch (e) {
+            console.error(`[Campaign] ${doc.id} failed:`, e.message);
+            await doc.ref.update({
+                status: 'failed',
+                lastError: e.message,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        }
+    }
+}
+
+// Returns a function that stops the worker, including a campaign it is sending
+function startCampaignWorker() {
+    let running = false;
+    let stopped = false;
+    const shouldStop = () => {
+        const leadership = getLeadershipStatus();
+        return stopped || (leadership.enabled && !leadership.isLeader);
+    };
+
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processCampaigns(shouldStop);
+        } catch (e) {
+            console.error('[Campaign] Worker error:', e.message);
+        } finally {
+            running = false;
+        }
+    }, CAMPAIGN_POLL_INTERVAL_MS);
+    return () => {
+        stopped = true;
+        clearInterval(timer);
+    };
+}
+
+module.exports = {
+    CAMPAIGN_TYPE,
+    campaignsRef,
+    validateSegment,
+    validateCampaignContent,
+    createCampaign,
+    cancelCampaign,
+    startCampaignWorker,
+};
@@ -0,0 +1,132 @@
+const { admin } = require('./firebase');
+const { escapeHtml } = require('./utils');
+const { getActiveDevices } = require('./devices');
+const { buildPushMessage, deliverPush } = require('./push');
+const { isValidEmailAddress, getEmailTransport, sendEmail } = require('./email');
+const { webPushChannel } = require('./webpush');
+const { webhookChannel } = require('./webhooks');
+
+/**
+ * CHANNELS: Pluggable delivery providers
+ *
+ * A provider is `{ name, enabledByDefault, required?, deliver(context) }`.
+ * `deliver` gets `{ recipientId, userData, notification, badgeCount }` and
+ * resolves to `{ status: 'sent' | 'failed' | 'skipped', retryable?, error?, ...details }`;
+ * throwing counts as a retryable failure. The inbox doc itself is written by
+ * deliverNotification, so `in_app` only records that. Users switch channels
+ * on and off through `channels` in their preferences; required ones stay on.
+ */
+const channels = new Map();
+
+function registerChannel(provider) {
+    if (!provider?.name || typeof provider.deliver !== 'function') {
+        throw new Error('A channel needs a name and a deliver function');
+    }
+    channels.set(provider.name, provider);
+}
+
+function getChannel(name) {
+    return channels.get(name) || null;
+}
+
+function listChannels() {
+    return [...channels.values()];
+}
+
+/**
+ * Names of the channels to use for one notification. With `external: false`
+ * (inbox-only mode, quiet hours) only the required ones are returned.
+ */
+function selectChannels(preferences, { external = true } = {}) {
+    return listChannels()
+        .filter(provider => provider.required || (external && (preferences.channels?.[provider.name] ?? provider.enabledByDefault)))
+        .map(provider => provider.name);
+}
+
+/**
+ * Runs each named channel and returns `{ results, retryable }`; `results` is
+ * stored on the notification doc as `channels`. Channels already `sent` in
+ * `previous` (an earlier attempt) are kept as they are, so a retry does not
+ * deliver twice on the channels that worked.
+ */
+async function deliverToChannels(names, context, previous = {}) {
+    const results = {};
+    let retryable = false;
+
+    for (const name of names) {
+        if (previous[name]?.status === 'sent') {
+            results[name] = previous[name];
+            continue;
+        }
+
+        let result;
+        try {
+            result = await getChannel(name).deliver(context);
+        } catch (e) {
+            console.warn(`[Channels] ${name} failed for ${context.recipientId}:`, e.message);
+            result = { status: 'failed', retryable: true, error: e.message };
+        }
+        if (result.status === 'failed' && result.retryable) retryable = true;
+        results[name] = { ...result, retryable: !!result.retryable, at: admin.firestore.Timestamp.now() };
+    }
+    return { results, retryable };
+}
+
+registerChannel({
+    name: 'in_app',
+    required: true,
+    async deliver() {
+        return { status: 'sent' };
+    },
+});
+
+registerChannel({
+    name: 'fcm',
+    enabledByDefault: true,
+    async deliver({ recipientId, userData, notification, badgeCount }) {
+        const devices = await getActiveDevices(recipientId, userData);
+        if (!devices.length) return { status: 'skipped', error: 'No registered devices' };
+
+        const push = await deliverPush(recipientId, devices, buildPushMessage(notification, badgeCount));
+        return {
+            status: push.delivered ? 'sent' : 'failed',
+            retryable: push.retryable,
+            error: push.delivered ? null : 'No device accepted the push',
+            fcmMessageId: push.fcmMessageId,
+            deliveredCount: push.deliveredCount,
+            deliveries: push.deliveries,
+        };
+    },
+});
+
+registerChannel(webPushChannel);
+
+// One email per notification; opt-in, since the digest already covers email by default
+registerChannel({
+    name: 'email',
+    enabledByDefault: false,
+    async deliver({ userData, notification }) {
+        if (!getEmailTransport()) return { status: 'skipped', error: 'No email transport configured' };
+        if (!userData.email) return { status: 'skipped', error: 'No email address' };
+        if (!isValidEmailAddress(userData.email)) return { status: 'skipped', error: 'Invalid email address' };
+
+        await sendEmail({
+            to: userData.email,
+            subject: notification.title,
+            text: notification.body,
+            html: `<p><strong>${escapeHtml(notification.title)}</strong></p><p>${escapeHtml(notification.body)}</p>`,
+        });
+        return { status: 'sent' };
+    },
+});
+
+// Notifications as signed events to the user's own endpoint, when one is set
+registerChannel(webhookChannel);
+
+module.exports = {
+    registerChannel,
+    getChannel,
+    listChannels,
+    selectChannels,
+    deliverToChannels,
+};
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { admin, db } = require('./firebase');
+const { chunk } = require('./utils');
+
+/**
+ * DEVICES: Per-user FCM token registry (Users/{id}/Devices/{deviceId})
+ */
+const FCM_MULTICAST_LIMIT = 500;
+
+// Tokens are long and contain ':' so the doc ID is a stable hash of the token
+function deviceIdForToken(fcmToken) {
+    return crypto.createHash('sha256').update(fcmToken).digest('hex');
+}
+
+function devicesRef(userId) {
+    return db.collection('Users').doc(userId).collection('Devices');
+}
+
+async function getActiveDevices(userId, userData = {}) {
+    const snapshot = await devicesRef(userId).where('active', '==', true).get();
+    const devices = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    // Fall back to the single legacy field for clients that never re-registered
+    const legacyToken = userData.fcmToken;
+    if (legacyToken && !devices.some(device => device.token === legacyToken)) {
+        devices.push({
+            id: deviceIdForToken(legacyToken),
+            token: legacyToken,
+            platform: 'unknown',
+            legacy: true,
+        });
+    }
+    return devices;
+}
+
+/**
+ * A token belongs to one user at a time: when it is registered for `userId`,
+ * every other user's device doc (and legacy fcmToken field) holding it is
+ * removed. Resolves to the previous owners as `[{ userId, locale }]`.
+ */
+async function releaseTokenFromOtherUsers(fcmToken, userId) {
+    const FieldValue = admin.firestore.FieldValue;
+    // Needs a collection-group single-field index on Devices.token
+    const [devices, legacyUsers] = await Promise.all([
+        db.collectionGroup('Devices').where('token', '==', fcmToken).get(),
+        db.collection('Users').where('fcmToken', '==', fcmToken).get(),
+    ]);
+
+    const owners = new Map();
+    const batch = db.batch();
+    devices.docs.forEach(doc => {
+        const ownerId = doc.ref.parent.parent?.id;
+        if (!ownerId || ownerId === userId) return;
+        owners.set(ownerId, { userId: ownerId, locale: doc.data().locale });
+        batch.delete(doc.ref);
+    });
+    legacyUsers.docs.forEach(doc => {
+        if (doc.id === userId) return;
+        if (!owners.has(doc.id)) owners.set(doc.id, { userId: doc.id, locale: doc.data().language });
+        batch.update(doc.ref, {
+            fcmToken: FieldValue.delete(),
+            fcmTokenUpdatedAt: FieldValue.delete(),
+        });
+    });
+
+    if (owners.size) {
+        await batch.commit();
+        console.log(`🔁 [Devices] Token moved to ${userId} from ${[...owners.keys()].join(', ')}`);
+    }
+    return [...owners.values()];
+}
+
+/**
+ * Sends one message to every device and returns a per-device outcome list,
+ * in the same order as `devices`.
+ */
+async function sendToDevices(devices, message) {
+    const deliveries = [];
+    for (const batch of chunk(devices, FCM_MULTICAST_LIMIT)) {
+        const response = await admin.messaging().sendEachForMulticast({
+            ...message,
+            tokens: batch.map(device => device.token),
+        });
+        response.responses.forEach((result, i) => {
+            deliveries.push({
+                deviceId: batch[i].id,
+                platform: batch[i].platform || 'unknown',
+                success: result.success,
+                messageId: result.messageId || null,
+                errorCode: result.error?.code || null,
+                errorMessage: result.error?.message || null,
+            });
+        });
+    }
+    return deliveries;
+}
+
+/**
+ * TOKEN HEALTH: Classify FCM errors and prune dead tokens
+ */
+// Token is gone for good: delete the device
+const FCM_REMOVE_CODES = [
+    'registration-token-not-registered',
+    'invalid-registration-token',
+];
+// Anything else is left alone: transient errors (unavailable, internal-error,
+// quota) and message or project errors (invalid-argument, mismatched-credential)
+// say nothing about the token, so they must not prune a recipient's devices
+
+function classifyFcmError(errorCode) {
+    const code = (errorCode || '').replace(/^messaging\//, '');
+    if (FCM_REMOVE_CODES.includes(code)) return 'remove';
+    return 'retry';
+}
+
+/**
+ * Updates each device doc with the outcome of a send and tags every delivery
+ * entry with the action taken ('delivered' | 'removed' | 'retry').
+ */
+async function applyDeliveryOutcomes(userId, devices, deliveries) {
+    const FieldValue = admin.firestore.FieldValue;
+    const userRef = db.collection('Users').doc(userId);
+    const batch = db.batch();
+    let removedLegacy = false;
+    let pruned = 0;
+
+    deliveries.forEach((result, i) => {
+        const device = devices[i];
+        const deviceRef = devicesRef(userId).doc(device.id);
+
+        if (result.success) {
+            result.action = 'delivered';
+            if (!device.legacy) {
+                batch.set(deviceRef, {
+                    lastSuccessAt: FieldValue.serverTimestamp(),
+                    consecutiveFailures: 0,
+                }, { merge: true });
+            }
+            return;
+        }
+
+        const action = classifyFcmError(result.errorCode);
+        if (action === 'remove') {
+            result.action = 'removed';
+            pruned++;
+            if (device.legacy) {
+                removedLegacy = true;
+            } else {
+                batch.delete(deviceRef);
+            }
+        } else {
+            result.action = 'retry';
+            if (!device.legacy) {
+                batch.set(deviceRef, {
+                    lastErrorCode: result.errorCode,
+                    lastErrorAt: FieldValue.serverTimestamp(),
+                    consecutiveFailures: FieldValue.increment(1),
+                }, { merge: true });
+            }
+        }
+    });
+
+    if (removedLegacy) {
+        batch.update(userRef, {
+            fcmToken: FieldValue.delete(),
+            fcmTokenUpdatedAt: FieldValue.delete(),
+        });
+    }
+
+    // Keep a trace on the user so support can see why devices disappeared
+    if (pruned > 0) {
+        const lastPruned = deliveries.find(result => result.action === 'removed');
+        batch.set(userRef, {
+            tokenHealth: {
+                prunedCount: FieldValue.increment(pruned),
+                lastPrunedAt: FieldValue.serverTimestamp(),
+                lastPruneReason: lastPruned.errorCode,
+            }
+        }, { merge: true });
+    }
+
+    await batch.commit();
+    if (pruned > 0) {
+        console.log(`🧹 [TokenHealth] Pruned ${pruned} token(s) for ${userId}`);
+    }
+}
+
+function maskToken(token) {
+    if (!token) return '';
+    return token.length > 12 ? `${token.slice(0, 6)}…${token.slice(-6)}` : '…';
+}
+
+
+module.exports = {
+    deviceIdForToken,
+    devicesRef,
+    getActiveDevices,
+    releaseTokenFromOtherUsers,
+    sendToDevices,
+    classifyFcmError,
+    applyDeliveryOutcomes,
+    maskToken,
+};
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const { admin, db } = require('./firebase');
+const { escapeHtml } = require('./utils');
+const { getActiveDevices } = require('./devices');
+const { notificationsRef } = require('./inbox');
+const { preferencesRef, mergePreferences } = require('./preferences');
+const { resolveLocale } = require('./templates');
+const { isValidEmailAddress, getEmailTransport, sendEmail } = require('./email');
+const { getActiveWebPushSubscriptions } = require('./webpush');
+
+/**
+ * DIGEST: Daily / weekly email of unread notifications
+ *
+ * Covers users push cannot reach (no registered device) unless they ask for
+ * it regardless. Each email has a signed one-click unsubscribe link, so the
+ * route needs no login. `Users/{id}.lastDigestAt` marks the end of the last
+ * digest window, whether or not an email went out.
+ */
+const DIGEST_POLL_INTERVAL_MS = 60 * 60 * 1000;
+const DIGEST_PAGE_SIZE = 200;
+const DIGEST_MAX_ITEMS = 20;
+const DIGEST_PERIOD_MS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000,
+};
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL
+    || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : `http://localhost:${process.env.PORT || 3000}`);
+// Falls back to a key derived from the service account so links work out of the box
+const UNSUBSCRIBE_SECRET = process.env.DIGEST_UNSUBSCRIBE_SECRET
+    || crypto.createHash('sha256').update(`digest:${process.env.GOOGLE_SERVICE_ACCOUNT_KEY || ''}`).digest('hex');
+
+const DIGEST_STRINGS = {
+    en: {
+        subject: 'Unread notifications: {count}',
+        heading: 'Here is what you missed',
+        more: 'And {count} more in the app.',
+        unsubscribe: 'Unsubscribe from these emails',
+    },
+    ar: {
+        subject: 'إشعارات غير مقروءة: {count}',
+        heading: 'إليك ما فاتك',
+        more: 'و{count} إشعارات أخرى في التطبيق.',
+        unsubscribe: 'إلغاء الاشتراك في هذه الرسائل',
+    },
+};
+
+function signUnsubscribe(userId) {
+    return crypto.createHmac('sha256', UNSUBSCRIBE_SECRET).update(`digest-unsubscribe:${userId}`).digest('base64url');
+}
+
+function verifyUnsubscribe(userId, signature) {
+    if (typeof userId !== 'string' || !userId || typeof signature !== 'string') return false;
+    const expected = Buffer.from(signUnsubscribe(userId));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function unsubscribeUrl(userId) {
+    return `${PUBLIC_BASE_URL}/digest/unsubscribe?uid=${encodeURIComponent(userId)}&sig=${signUnsubscribe(userId)}`;
+}
+
+async function unsubscribeFromDigest(userId) {
+    await preferencesRef(userId).set({
+        digest: { frequency: 'off' },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+}
+
+function fill(text, values) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? '');
+}
+
+/**
+ * Builds `{ subject, text, html, headers }` for a digest. `totalUnread` may
+ * be larger than the listed notifications.
+ */
+function buildDigestEmail(userId, locale, notifications, totalUnread) {
+    const strings = DIGEST_STRINGS[locale] || DIGEST_STRINGS.en;
+    const direction = locale === 'ar' ? 'rtl' : 'ltr';
+    const count = new Intl.NumberFormat(locale).format(totalUnread);
+    const remaining = totalUnread - notifications.length;
+    const url = unsubscribeUrl(userId);
+
+    const more = remaining > 0 ? fill(strings.more, { count: new Intl.NumberFormat(locale).format(remaining) }) : '';
+    const text = [
+        strings.heading,
+        '',
+        ...notifications.map(notification => `- ${notification.title}: ${notification.body}`),
+        ...(more ? ['', more] : []),
+        '',
+        `${strings.unsubscribe}: ${url}`,
+    ].join('\n');
+
+    const items = notifications.map(notification => `
+        <tr><td style="padding:8px 0;border-bottom:1px solid #eee">
+            <strong>${escapeHtml(notification.title)}</strong><br>${escapeHtml(notification.body)}
+        </td></tr>`).join('');
+    const html = `<!DOCTYPE html>
+<html lang="${locale}" dir="${direction}">
+<body style="font-family:sans-serif;color:#222">
+    <h2 style="color:#1C59A4">${escapeHtml(strings.heading)}</h2>
+    <table width="100%" cellspacing="0" cellpadding="0">${items}</table>
+    ${more ? `<p>${escapeHtml(more)}</p>` : ''}
+    <p style="font-size:12px;color:#888"><a href="${escapeHtml(url)}">${escapeHtml(strings.unsubscribe)}</a></p>
+</body>
+</html>`;
+
+    return {
+        subject: fill(strings.subject, { count }),
+        text: text,
+        html: html,
+        headers: {
+            'List-Unsubscribe': `<${url}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        },
+    };
+}
+
+function isDigestDue(frequency, lastDigestAt, now = Date.now()) {
+    const period = DIGEST_PERIOD_MS[frequency];
+    if (!period) return false;
+    // One poll interval of slack so a daily digest does not drift an hour later every day
+    return !lastDigestAt || now - lastDigestAt.toMillis() >= period - DIGEST_POLL_INTERVAL_MS;
+}
+
+// Returns true when an email was sent
+async function sendUserDigest(userDoc, preferences) {
+    const userId = userDoc.id;
+    const userData = userDoc.data();
+    const { frequency, onlyWithoutPush } = preferences.digest;
+
+    if (onlyWithoutPush) {
+        const [devices, subscriptions] = await Promise.all([
+            getActiveDevices(userId, userData),
+            getActiveWebPushSubscriptions(userId),
+        ]);
+        if (devices.length || subscriptions.length) return false;
+    }
+
+    // Needs a composite index on (isRead, timestamp)
+    let query = notificationsRef(userId).where('isRead', '==', false);
+    if (userData.lastDigestAt) query = query.where('timestamp', '>', userData.lastDigestAt);
+    const snapshot = await query.orderBy('timestamp', 'desc').limit(DIGEST_MAX_ITEMS).get();
+
+    let sent = false;
+    if (!snapshot.empty) {
+        const locale = resolveLocale(userData.language);
+        const notifications = snapshot.docs.map(doc => doc.data());
+        const totalUnread = Math.max(userData.unreadCount || 0, notifications.length);
+        await sendEmail({ to: userData.email, ...buildDigestEmail(userId, locale, notifications, totalUnread) });
+        console.log(`📧 [Digest] ${frequency} digest sent to ${userId} (${notifications.length} items)`);
+        sent = true;
+    }
+
+    await userDoc.ref.update({ lastDigestAt: admin.firestore.Timestamp.now() });
+    return sent;
+}
+
+async function processDigests() {
+    if (!getEmailTransport()) return;
+
+    const documentId = admin.firestore.FieldPath.documentId();
+    let cursor = null;
+    let sent = 0;
+
+    while (true) {
+        let query = db.collection('Users').orderBy(documentId).limit(DIGEST_PAGE_SIZE);
+        if (cursor) query = query.startAfter(cursor);
+        const snapshot = await query.get();
+        if (snapshot.empty) break;
+
+        const candidates = snapshot.docs.filter(doc => isValidEmailAddress(doc.data().email));
+        const preferenceDocs = candidates.length ? await db.getAll(...candidates.map(doc => preferencesRef(doc.id))) : [];
+
+        for (let i = 0; i < candidates.length; i++) {
+            const preferences = mergePreferences(preferenceDocs[i].exists ? preferenceDocs[i].data() : {});
+            if (!isDigestDue(preferences.digest.frequency, candidates[i].data().lastDigestAt)) continue;
+            try {
+                if (await sendUserDigest(candidates[i], preferences)) sent++;
+            } catch (e) {
+                console.error(`[Digest] Failed for ${candidates[i].id}:`, e.message);
+            }
+        }
+
+        if (snapshot.size < DIGEST_PAGE_SIZE) break;
+        cursor = snapshot.docs[snapshot.docs.length - 1].id;
+    }
+
+    if (sent) console.log(`✅ [Digest] Sent ${sent} digest(s)`);
+}
+
+// Returns a function that stops the worker
+function startDigestWorker() {
+    if (!getEmailTransport()) {
+        console.log('[Digest] No email transport configured; digests are off');
+        return () => {};
+    }
+
+    let running = false;
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processDigests();
+        } catch (e) {
+            console.error('[Digest] Worker error:', e.message);
+        } finally {
+            running = false;
+        }
+    };
+    run();
+    const timer = setInterval(run, DIGEST_POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    verifyUnsubscribe,
+    unsubscribeFromDigest,
+    buildDigestEmail,
+    startDigestWorker,
+};
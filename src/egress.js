@@ -0,0 +1,102 @@
+const dns = require('dns').promises;
+const https = require('https');
+const net = require('net');
+const { withTimeout } = require('./utils');
+
+/**
+ * EGRESS: Outgoing requests to user-supplied URLs (webhooks, web push)
+ *
+ * The hostname is resolved once, every address it resolves to is checked
+ * against private, loopback, link-local, CGNAT and other special-use ranges,
+ * and the request is then pinned to the checked address so a second DNS
+ * answer cannot point it elsewhere. IPv4-mapped IPv6 addresses are matched
+ * against the IPv4 ranges. Only the status code of the response is kept.
+ */
+const BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+    ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    // Unspecified, loopback and IPv4-compatible; NAT64 and 6to4 embed IPv4 addresses
+    ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 23],
+    ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return true;
+    return BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Cheap check for validation time; resolvePublicAddress is the one that counts
+function isPrivateHostname(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (net.isIP(host)) return isPrivateAddress(host);
+    return host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') || !host.includes('.');
+}
+
+/**
+ * Resolves `hostname` and returns `{ address, family }` when every address
+ * it resolves to is public; throws otherwise (`code: 'PRIVATE_ADDRESS'` when
+ * the host is not public).
+ */
+async function resolvePublicAddress(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+        ? [{ address: host, family: net.isIP(host) }]
+        : await dns.lookup(host, { all: true, verbatim: true });
+    if (!addresses.length) throw new Error(`${host} did not resolve`);
+    if (isPrivateHostname(host) || addresses.some(entry => isPrivateAddress(entry.address))) {
+        throw Object.assign(new Error(`${host} resolves to a private address`), { code: 'PRIVATE_ADDRESS' });
+    }
+    return addresses[0];
+}
+
+/**
+ * POSTs `body` to an https URL on a public host and resolves to
+ * `{ statusCode }`. Redirects are not followed and the response body is
+ * discarded. Network errors and refused hosts reject. `timeoutMs` bounds the
+ * whole call, from the DNS lookup until the response has been read.
+ */
+async function postToPublicUrl(url, { headers = {}, body, timeoutMs }) {
+    const target = new URL(url);
+    if (target.protocol !== 'https:') throw new Error('Only https URLs are allowed');
+    const deadline = Date.now() + timeoutMs;
+    const { address, family } = await withTimeout(resolvePublicAddress(target.hostname), timeoutMs, 'Request timed out');
+
+    return new Promise((resolve, reject) => {
+        const request = https.request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            // Pin the connection to the address that was checked; TLS still verifies the hostname
+            lookup: (hostname, options, callback) => {
+                if (options.all) callback(null, [{ address, family }]);
+                else callback(null, address, family);
+            },
+            timeout: timeoutMs,
+        }, response => {
+            response.on('end', () => clearTimeout(timer));
+            response.on('error', () => clearTimeout(timer));
+            response.resume();
+            resolve({ statusCode: response.statusCode });
+        });
+        // The socket timeout only fires on idle; this one also stops a slow trickle
+        const timer = setTimeout(() => request.destroy(new Error('Request timed out')), Math.max(deadline - Date.now(), 0));
+        request.on('timeout', () => request.destroy(new Error('Request timed out')));
+        request.on('error', err => {
+            clearTimeout(timer);
+            reject(err);
+        });
+        request.end(body);
+    });
+}
+
+module.exports = {
+    isPrivateAddress,
+    isPrivateHostname,
+    resolvePublicAddress,
+    postToPublicUrl,
+};
@@ -0,0 +1,102 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * EMAIL: Pluggable transport for outgoing mail
+ *
+ * A transport is any object with `send({ from, to, subject, text, html, headers })`.
+ * The default one is nodemailer's SMTP transport, configured through SMTP_*
+ * env vars; point it at a local sink such as MailHog (SMTP_HOST=localhost
+ * SMTP_PORT=1025) to test. Without SMTP_HOST no transport is configured and
+ * email features stay off. When credentials are set, the connection must be
+ * TLS (implicit or STARTTLS) or the send fails before AUTH.
+ */
+const SMTP_TIMEOUT_MS = 30 * 1000;
+const EMAIL_FROM = process.env.EMAIL_FROM || 'notifications@localhost';
+
+// Dot-atom local part and a hostname domain; no quoted strings, comments or
+// address literals, and so no CR/LF or angle brackets either
+const EMAIL_ADDRESS_PATTERN = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*@([A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)*[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+
+function isValidEmailAddress(address) {
+    return typeof address === 'string'
+        && address.length <= 254
+        && address.split('@')[0].length <= 64
+        && EMAIL_ADDRESS_PATTERN.test(address);
+}
+
+function createSmtpTransport({ host, port = 587, secure = false, user, pass, timeoutMs = SMTP_TIMEOUT_MS }) {
+    const mailer = nodemailer.createTransport({
+        host: host,
+        port: port,
+        secure: secure,
+        // Never send credentials over a connection that did not upgrade to TLS
+        requireTLS: !secure && !!user,
+        auth: user ? { user: user, pass: pass || '' } : undefined,
+        connectionTimeout: timeoutMs,
+        greetingTimeout: timeoutMs,
+        socketTimeout: timeoutMs,
+    });
+
+    async function send(message) {
+        const info = await mailer.sendMail({
+            from: message.from,
+            to: message.to,
+            subject: message.subject,
+            text: message.text || '',
+            html: message.html || '',
+            headers: message.headers || {},
+            disableFileAccess: true,
+            disableUrlAccess: true,
+        });
+        return { accepted: info.accepted.length > 0, response: info.response };
+    }
+
+    return { name: 'smtp', send };
+}
+
+let transport;
+
+function transportFromEnv() {
+    if (!process.env.SMTP_HOST) return null;
+    return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+    });
+}
+
+// Null when email is not configured
+function getEmailTransport() {
+    if (transport === undefined) transport = transportFromEnv();
+    return transport;
+}
+
+// Swaps the transport (another provider, or a fake in local experiments)
+function setEmailTransport(next) {
+    transport = next;
+}
+
+async function sendEmail(message) {
+    const current = getEmailTransport();
+    if (!current) throw new Error('No email transport configured (set SMTP_HOST)');
+
+    const from = message.from || EMAIL_FROM;
+    if (!isValidEmailAddress(from)) throw new Error('Invalid sender address');
+    if (!isValidEmailAddress(message.to)) throw new Error('Invalid recipient address');
+    const headers = message.headers || {};
+    if (Object.entries(headers).some(([name, value]) => /[\r\n]/.test(`${name}${value}`))) {
+        throw new Error('Header names and values cannot contain line breaks');
+    }
+
+    return current.send({ ...message, from, headers });
+}
+
+module.exports = {
+    isValidEmailAddress,
+    createSmtpTransport,
+    getEmailTransport,
+    setEmailTransport,
+    sendEmail,
+};
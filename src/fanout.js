@@ -0,0 +1,261 @@
+const { admin, db } = require('./firebase');
+const { FIRESTORE_BATCH_LIMIT, GRPC_ALREADY_EXISTS, chunk } = require('./utils');
+const { notificationsRef } = require('./inbox');
+const { preferencesRef, mergePreferences, resolveDeliveryMode } = require('./preferences');
+const { resolveLocale, renderTemplate } = require('./templates');
+const { topicSubscriptionsRef, topicFor } = require('./topics');
+const { enqueueNotification } = require('./outbox');
+const { selectChannels, deliverToChannels } = require('./channels');
+const { buildNotificationDoc, channelFields } = require('./notifications');
+
+/**
+ * FAN-OUT: `new_post` notifications to the author's followers (PostFanouts/{postId})
+ *
+ * The listener only creates a job; the worker walks the author's `followers`
+ * page by page. Every follower gets an inbox entry (written in batches); only
+ * followers who opted in to push for that author (a `user_X` topic
+ * subscription) also get a push, through the outbox. Pages are throttled and jobs
+ * take turns, so a creator with many followers does not hold up the others.
+ */
+const FANOUT_TYPE = 'new_post';
+const FANOUT_PAGE_SIZE = 100;
+const FANOUT_FOLLOWERS_PER_SECOND = Number(process.env.FANOUT_FOLLOWERS_PER_SECOND) || 200;
+const FANOUT_POLL_INTERVAL_MS = 5 * 1000;
+const FANOUT_MAX_ACTIVE_JOBS = 10;
+
+function fanoutsRef() {
+    return db.collection('PostFanouts');
+}
+
+// Returns null if a job for this post already exists (listener replays)
+async function enqueuePostFanout(postId, post) {
+    const ref = fanoutsRef().doc(postId);
+    try {
+        await ref.create({
+            postId: postId,
+            authorId: post.userId,
+            senderName: post.userName || '',
+            senderAvatar: post.userAvatar || '',
+            status: 'queued',
+            cursor: null,
+            progress: {
+                processedFollowers: 0,
+                inboxCount: 0,
+                pushCount: 0,
+                skippedCount: 0,
+            },
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+    } catch (e) {
+        if (e.code === GRPC_ALREADY_EXISTS) return null;
+        throw e;
+    }
+    return ref;
+}
+
+// Everyone a post by `authorId` is fanned out to, in ID order
+async function getFollowerIds(authorId) {
+    const authorDoc = await db.collection('Users').doc(authorId).get();
+    return [...new Set(authorDoc.data()?.followers || [])]
+        .filter(id => typeof id === 'string' && id && id !== authorId)
+        .sort();
+}
+
+/**
+ * Next page of follower IDs after `cursor`. Followers are walked in ID order,
+ * so follows and unfollows during the fan-out do not shift the cursor.
+ */
+async function fetchFollowerPage(authorId, cursor) {
+    const followers = (await getFollowerIds(authorId)).filter(id => !cursor || id > cursor);
+
+    const followerIds = followers.slice(0, FANOUT_PAGE_SIZE);
+    const nextCursor = followers.length > FANOUT_PAGE_SIZE ? followerIds[followerIds.length - 1] : null;
+    return { followerIds, nextCursor };
+}
+
+// The fan-out's inbox entry is skipped for missing users and for followers with `new_post` off
+function receivesFanout(userDoc, preferences) {
+    return userDoc.exists && resolveDeliveryMode(preferences, FANOUT_TYPE) !== 'off';
+}
+
+// Which of `userIds` the fan-out of a post by `authorId` reaches
+async function getFanoutRecipientIds(authorId, userIds) {
+    const followers = new Set(await getFollowerIds(authorId));
+    const candidates = [...new Set(userIds)].filter(id => followers.has(id));
+    if (!candidates.length) return [];
+
+    const [userDocs, preferenceDocs] = await Promise.all([
+        db.getAll(...candidates.map(id => db.collection('Users').doc(id))),
+        db.getAll(...candidates.map(id => preferencesRef(id))),
+    ]);
+    return candidates.filter((id, i) =>
+        receivesFanout(userDocs[i], mergePreferences(preferenceDocs[i].exists ? preferenceDocs[i].data() : {}))
+    );
+}
+
+async function sendFanoutPage(job, followerIds) {
+    const notificationId = `${FANOUT_TYPE}_${job.postId}`;
+    const counts = { processedFollowers: followerIds.length, inboxCount: 0, pushCount: 0, skippedCount: 0 };
+    if (!followerIds.length) return counts;
+
+    const authorTopic = topicFor('user', job.authorId);
+    const [userDocs, existingDocs, preferenceDocs, subscriptionDocs] = await Promise.all([
+        db.getAll(...followerIds.map(id => db.collection('Users').doc(id))),
+        db.getAll(...followerIds.map(id => notificationsRef(id).doc(notificationId))),
+        db.getAll(...followerIds.map(id => preferencesRef(id))),
+        db.getAll(...followerIds.map(id => topicSubscriptionsRef(id).doc(authorTopic))),
+    ]);
+
+    const data = {
+        senderId: job.authorId,
+        senderName: job.senderName,
+        senderAvatar: job.senderAvatar,
+        targetId: job.postId,
+        targetType: 'post',
+        postId: job.postId,
+    };
+    const inboxOnly = [];
+
+    for (let i = 0; i < followerIds.length; i++) {
+        const preferences = mergePreferences(preferenceDocs[i].exists ? preferenceDocs[i].data() : {});
+        const mode = resolveDeliveryMode(preferences, FANOUT_TYPE);
+        if (!receivesFanout(userDocs[i], preferences) || existingDocs[i].exists) {
+            counts.skippedCount++;
+            continue;
+        }
+
+        // Push opt-ins go through the outbox, which handles quiet hours and retries
+        if (mode === 'push' && subscriptionDocs[i].exists) {
+            await enqueueNotification(followerIds[i], null, null, FANOUT_TYPE, data, {
+                eventId: notificationId,
+                variables: { senderName: job.senderName },
+            });
+            counts.pushCount++;
+            continue;
+        }
+
+        const locale = resolveLocale(userDocs[i].data().language);
+        const rendered = renderTemplate(FANOUT_TYPE, locale, { senderName: job.senderName });
+        const notification = buildNotificationDoc({
+            id: notificationId,
+            recipientId: followerIds[i],
+            title: rendered.title,
+            body: rendered.body,
+            type: FANOUT_TYPE,
+            data: data,
+            extraData: {},
+            locale: locale,
+        });
+        // Inbox only, so just the required channels run
+        const { results } = await deliverToChannels(
+            selectChannels(preferences, { external: false }),
+            { recipientId: followerIds[i], userData: userDocs[i].data(), notification }
+        );
+        inboxOnly.push({ userId: followerIds[i], notification: { ...notification, ...channelFields(results) } });
+    }
+
+    // Each follower is two writes (inbox entry + unread counter)
+    for (const batchFollowers of chunk(inboxOnly, FIRESTORE_BATCH_LIMIT / 2)) {
+        const batch = db.batch();
+        batchFollowers.forEach(({ userId, notification }) => {
+            batch.set(notificationsRef(userId).doc(notificationId), notification);
+            batch.set(db.collection('Users').doc(userId), {
+                unreadCount: admin.firestore.FieldValue.increment(1),
+            }, { merge: true });
+        });
+        await batch.commit();
+    }
+    counts.inboxCount = inboxOnly.length;
+
+    return counts;
+}
+
+// Runs one page of a job; returns false once the job is finished
+async function runFanoutPage(doc) {
+    const job = doc.data();
+    const FieldValue = admin.firestore.FieldValue;
+
+    const postDoc = await db.collection('Posts').doc(job.postId).get();
+    if (!postDoc.exists) {
+        await doc.ref.update({ status: 'cancelled', updatedAt: FieldValue.serverTimestamp() });
+        console.log(`[Fan-out] ${job.postId} cancelled (post deleted)`);
+        return false;
+    }
+
+    const { followerIds, nextCursor } = await fetchFollowerPage(job.authorId, job.cursor);
+    const counts = await sendFanoutPage(job, followerIds);
+
+    await doc.ref.update({
+        status: nextCursor ? 'running' : 'completed',
+        cursor: nextCursor,
+        'progress.processedFollowers': FieldValue.increment(counts.processedFollowers),
+        'progress.inboxCount': FieldValue.increment(counts.inboxCount),
+        'progress.pushCount': FieldValue.increment(counts.pushCount),
+        'progress.skippedCount': FieldValue.increment(counts.skippedCount),
+        updatedAt: FieldValue.serverTimestamp(),
+        ...(nextCursor ? {} : { completedAt: FieldValue.serverTimestamp() }),
+    });
+
+    if (!nextCursor) console.log(`✅ [Fan-out] ${job.postId} completed`);
+    return !!nextCursor;
+}
+
+/**
+ * Gives each active job one page per round, pausing after every page so the
+ * overall rate stays under FANOUT_FOLLOWERS_PER_SECOND.
+ */
+async function processFanouts(isStopped) {
+    const pageDelayMs = Math.ceil(FANOUT_PAGE_SIZE / FANOUT_FOLLOWERS_PER_SECOND * 1000);
+    let snapshot = await fanoutsRef().where('status', 'in', ['queued', 'running']).orderBy('createdAt').limit(FANOUT_MAX_ACTIVE_JOBS).get();
+    let active = snapshot.docs;
+
+    while (active.length && !isStopped()) {
+        const remaining = [];
+        for (const doc of active) {
+            if (isStopped()) return;
+            try {
+                if (await runFanoutPage(doc)) remaining.push(doc.ref);
+            } catch (e) {
+                console.error(`[Fan-out] ${doc.id} failed:`, e.message);
+                await doc.ref.update({
+                    status: 'failed',
+                    lastError: e.message,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+            }
+            await new Promise(resolve => setTimeout(resolve, pageDelayMs));
+        }
+        // Re-read for the updated cursors
+        active = remaining.length ? (await db.getAll(...remaining)).filter(doc => doc.exists) : [];
+    }
+}
+
+// Returns a function that stops the worker
+function startFanoutWorker() {
+    let running = false;
+    let stopped = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processFanouts(() => stopped);
+        } catch (e) {
+            console.error('[Fan-out] Worker error:', e.message);
+        } finally {
+            running = false;
+        }
+    }, FANOUT_POLL_INTERVAL_MS);
+    return () => {
+        stopped = true;
+        clearInterval(timer);
+    };
+}
+
+module.exports = {
+    fanoutsRef,
+    getFollowerIds,
+    getFanoutRecipientIds,
+    enqueuePostFanout,
+    startFanoutWorker,
+};
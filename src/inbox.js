@@ -0,0 +1,192 @@
+const { admin, db } = require('./firebase');
+const { convertToStringValues, chunk } = require('./utils');
+const { getActiveDevices, sendToDevices, applyDeliveryOutcomes } = require('./devices');
+
+/**
+ * INBOX: Reading Users/{id}/Notifications
+ */
+const INBOX_DEFAULT_LIMIT = 20;
+const INBOX_MAX_LIMIT = 100;
+
+function notificationsRef(userId) {
+    return db.collection('Users').doc(userId).collection('Notifications');
+}
+
+// Same fields sendAndLogNotification writes, with Timestamps as ISO strings
+function serializeNotification(doc) {
+    const notification = doc.data();
+    return {
+        ...notification,
+        id: notification.id || doc.id,
+        timestamp: notification.timestamp?.toDate?.().toISOString() || null,
+    };
+}
+
+/**
+ * Page size from a `?limit=` value: missing means the default, anything else
+ * must be an integer and is clamped to 1..INBOX_MAX_LIMIT. Returns `{ limit }`
+ * or `{ error }`.
+ */
+function parseLimit(value) {
+    if (value === undefined || value === '') return { limit: INBOX_DEFAULT_LIMIT };
+    if (typeof value !== 'string' || !/^-?\d+$/.test(value)) return { error: 'limit must be an integer' };
+    return { limit: Math.min(Math.max(Number(value), 1), INBOX_MAX_LIMIT) };
+}
+
+function parseDateParam(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Builds the inbox query from request filters. Returns `{ error }` when a
+ * filter is malformed. Filter combinations need matching composite indexes.
+ */
+function buildInboxQuery(userId, { type, targetType, isRead, from, to }) {
+    let query = notificationsRef(userId);
+
+    if (type) query = query.where('type', '==', type);
+    if (targetType) query = query.where('targetType', '==', targetType);
+    if (isRead !== undefined) {
+        if (isRead !== 'true' && isRead !== 'false') {
+            return { error: 'isRead must be "true" or "false"' };
+        }
+        query = query.where('isRead', '==', isRead === 'true');
+    }
+
+    const fromDate = parseDateParam(from);
+    const toDate = parseDateParam(to);
+    if (fromDate === undefined || toDate === undefined) {
+        return { error: 'from/to must be valid dates' };
+    }
+    if (fromDate) query = query.where('timestamp', '>=', admin.firestore.Timestamp.fromDate(fromDate));
+    if (toDate) query = query.where('timestamp', '<=', admin.firestore.Timestamp.fromDate(toDate));
+
+    return { query };
+}
+
+/**
+ * READ STATE: Maintained unread counter (Users/{id}.unreadCount) and badge sync
+ */
+const READ_BATCH_LIMIT = 100;
+
+async function countUnread(userId) {
+    const snapshot = await notificationsRef(userId).where('isRead', '==', false).count().get();
+    return snapshot.data().count;
+}
+
+// Initializes the counter from the inbox for users created before it existed
+async function getUnreadCount(userId, userData = {}) {
+    if (typeof userData.unreadCount === 'number') return userData.unreadCount;
+
+    const unreadCount = await countUnread(userId);
+    await db.collection('Users').doc(userId).set({ unreadCount: unreadCount }, { merge: true });
+    return unreadCount;
+}
+
+/**
+ * Marks the given notifications read (or deletes them) in one transaction and
+ * keeps the unread counter in step. Returns the new unread count.
+ */
+async function updateNotifications(userId, notificationIds, { remove = false } = {}) {
+    const userRef = db.collection('Users').doc(userId);
+    const refs = [...new Set(notificationIds)].map(id => notificationsRef(userId).doc(id));
+
+    return db.runTransaction(async transaction => {
+        const userDoc = await transaction.get(userRef);
+        const docs = refs.length ? await transaction.getAll(...refs) : [];
+        const storedCount = userDoc.data()?.unreadCount;
+        let unreadCount = typeof storedCount === 'number' ? storedCount : await countUnread(userId);
+        let changed = 0;
+
+        docs.forEach(doc => {
+            if (!doc.exists) return;
+            const wasUnread = doc.data().isRead === false;
+            if (remove) {
+                transaction.delete(doc.ref);
+            } else if (wasUnread) {
+                transaction.update(doc.ref, {
+                    isRead: true,
+                    readAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+            }
+            if (wasUnread) unreadCount--;
+            changed++;
+        });
+
+        unreadCount = Math.max(0, unreadCount);
+        transaction.set(userRef, { unreadCount: unreadCount }, { merge: true });
+        return { changed, unreadCount };
+    });
+}
+
+// Flips unread docs in transactional chunks so concurrent increments are never overwritten
+async function markAllNotificationsRead(userId) {
+    const snapshot = await notificationsRef(userId).where('isRead', '==', false).get();
+    if (snapshot.empty) return updateNotifications(userId, []);
+
+    let changed = 0;
+    let unreadCount = 0;
+    for (const docs of chunk(snapshot.docs, READ_BATCH_LIMIT)) {
+        const result = await updateNotifications(userId, docs.map(doc => doc.id));
+        changed += result.changed;
+        unreadCount = result.unreadCount;
+    }
+    return { changed, unreadCount };
+}
+
+/**
+ * Silent data message so a user's other devices update their badge after
+ * items are read elsewhere. `excludeToken` is the device that did the reading.
+ */
+async function sendBadgeSync(userId, unreadCount, excludeToken) {
+    try {
+        const userDoc = await db.collection('Users').doc(userId).get();
+        const devices = (await getActiveDevices(userId, userDoc.data()))
+            .filter(device => device.token !== excludeToken);
+        if (!devices.length) return;
+
+        const deliveries = await sendToDevices(devices, {
+            data: convertToStringValues({
+                type: 'badge_sync',
+                recipientId: userId,
+                unreadCount: unreadCount,
+            }),
+            android: {
+                priority: 'normal',
+            },
+            apns: {
+                headers: {
+                    'apns-push-type': 'background',
+                    'apns-priority': '5',
+                },
+                payload: {
+                    aps: {
+                        'content-available': 1,
+                        badge: unreadCount,
+                    }
+                }
+            }
+        });
+        await applyDeliveryOutcomes(userId, devices, deliveries);
+    } catch (e) {
+        console.warn(`[sendBadgeSync] Failed for ${userId}:`, e.message);
+    }
+}
+
+
+module.exports = {
+    INBOX_DEFAULT_LIMIT,
+    INBOX_MAX_LIMIT,
+    READ_BATCH_LIMIT,
+    notificationsRef,
+    serializeNotification,
+    parseLimit,
+    buildInboxQuery,
+    countUnread,
+    getUnreadCount,
+    updateNotifications,
+    markAllNotificationsRead,
+    sendBadgeSync,
+};
@@ -0,0 +1,139 @@
+const os = require('os');
+const crypto = require('crypto');
+const { admin, db } = require('./firebase');
+const { withTimeout } = require('./utils');
+
+/**
+ * LEADER ELECTION: Firestore lease so only one instance runs the listeners
+ *
+ * The leader renews Leases/listeners every LEASE_RENEW_INTERVAL_MS. If it
+ * stops renewing, another instance takes over once the lease has expired.
+ * The leader steps down on its own LEASE_STEP_DOWN_MARGIN_MS before the
+ * expiry of its last successful renewal, without waiting for a slow or hung
+ * renewal to fail, so two instances never run the listeners at once.
+ */
+const LEASE_TTL_MS = Number(process.env.LEADER_LEASE_TTL_MS) || 30 * 1000;
+const LEASE_RENEW_INTERVAL_MS = Math.floor(LEASE_TTL_MS / 3);
+const LEASE_RENEW_TIMEOUT_MS = LEASE_RENEW_INTERVAL_MS;
+const LEASE_STEP_DOWN_MARGIN_MS = Math.floor(LEASE_TTL_MS / 6);
+const INSTANCE_ID = `${os.hostname()}_${process.pid}_${crypto.randomBytes(3).toString('hex')}`;
+
+const status = {
+    enabled: false,
+    isLeader: false,
+    instanceId: INSTANCE_ID,
+    leaderId: null,
+    leaseExpiresAt: null,
+    lastHeartbeatAt: null,
+};
+
+function leaseRef() {
+    return db.collection('Leases').doc('listeners');
+}
+
+// Acquires the lease if it is free or expired, renews it if we hold it
+async function acquireOrRenewLease() {
+    return db.runTransaction(async transaction => {
+        const doc = await transaction.get(leaseRef());
+        const lease = doc.exists ? doc.data() : null;
+        const now = Date.now();
+
+        if (lease && lease.holderId !== INSTANCE_ID && lease.expiresAt.toMillis() > now) {
+            return { acquired: false, holderId: lease.holderId, expiresAt: lease.expiresAt.toMillis() };
+        }
+
+        const expiresAt = now + LEASE_TTL_MS;
+        const renewing = lease?.holderId === INSTANCE_ID;
+        transaction.set(leaseRef(), {
+            holderId: INSTANCE_ID,
+            hostname: os.hostname(),
+            expiresAt: admin.firestore.Timestamp.fromMillis(expiresAt),
+            renewedAt: admin.firestore.FieldValue.serverTimestamp(),
+            acquiredAt: renewing ? lease.acquiredAt : admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return { acquired: true, holderId: INSTANCE_ID, expiresAt: expiresAt };
+    });
+}
+
+/**
+ * Runs the heartbeat loop and calls `onElected` / `onDemoted` as leadership
+ * changes. Returns a function that stops the loop.
+ */
+function startLeaderElection({ onElected, onDemoted }) {
+    status.enabled = true;
+
+    const setLeader = isLeader => {
+        if (isLeader === status.isLeader) return;
+        status.isLeader = isLeader;
+        if (isLeader) {
+            console.log(`👑 [Leader] ${INSTANCE_ID} acquired the listener lease`);
+            onElected();
+        } else {
+            console.warn(`[Leader] ${INSTANCE_ID} lost the listener lease`);
+            onDemoted();
+        }
+    };
+
+    // Re-armed by every successful renewal; firing means the lease may be someone else's
+    let stepDownTimer = null;
+    const armStepDown = expiresAt => {
+        clearTimeout(stepDownTimer);
+        stepDownTimer = setTimeout(() => {
+            console.warn(`[Leader] Lease about to expire without a renewal, stepping down`);
+            setLeader(false);
+        }, Math.max(0, expiresAt - LEASE_STEP_DOWN_MARGIN_MS - Date.now()));
+    };
+
+    let running = false;
+    const heartbeat = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const lease = await withTimeout(acquireOrRenewLease(), LEASE_RENEW_TIMEOUT_MS, 'Lease renewal timed out');
+            status.leaderId = lease.holderId;
+            status.leaseExpiresAt = new Date(lease.expiresAt).toISOString();
+            status.lastHeartbeatAt = new Date().toISOString();
+            if (lease.acquired && lease.expiresAt - LEASE_STEP_DOWN_MARGIN_MS > Date.now()) {
+                armStepDown(lease.expiresAt);
+                setLeader(true);
+            } else {
+                clearTimeout(stepDownTimer);
+                setLeader(false);
+            }
+        } catch (e) {
+            // The step-down timer covers a lease that runs out in the meantime
+            console.error('[Leader] Heartbeat failed:', e.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    heartbeat();
+    const timer = setInterval(heartbeat, LEASE_RENEW_INTERVAL_MS);
+    return () => {
+        clearInterval(timer);
+        clearTimeout(stepDownTimer);
+        setLeader(false);
+    };
+}
+
+// Lets a standby take over immediately on graceful shutdown
+async function releaseLease() {
+    await db.runTransaction(async transaction => {
+        const doc = await transaction.get(leaseRef());
+        if (doc.exists && doc.data().holderId === INSTANCE_ID) {
+            transaction.delete(leaseRef());
+        }
+    });
+}
+
+function getLeadershipStatus() {
+    return { ...status };
+}
+
+module.exports = {
+    INSTANCE_ID,
+    startLeaderElection,
+    releaseLease,
+    getLeadershipStatus,
+};
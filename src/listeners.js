@@ -0,0 +1,666 @@
+const crypto = require('crypto');
+const { admin, db } = require('./firebase');
+const { FIRESTORE_BATCH_LIMIT, chunk } = require('./utils');
+const { notificationsRef } = require('./inbox');
+const { sendLocalizedNotification } = require('./outbox');
+const { getPreferences } = require('./preferences');
+const { sendTopicNotification } = require('./topics');
+const { getMentionText, notifyMentions } = require('./mentions');
+const { enqueuePostFanout, getFanoutRecipientIds } = require('./fanout');
+const { dispatchWebhookEvent } = require('./webhooks');
+
+/**
+ * AGGREGATION: Roll repeated likes (or positive reviews) on one target into a
+ * single notification
+ */
+const LIKE_AGGREGATION_WINDOW_MS = (Number(process.env.LIKE_AGGREGATION_WINDOW_MINUTES) || 60) * 60 * 1000;
+const REVIEW_SUMMARY_WINDOW_MS = (Number(process.env.REVIEW_SUMMARY_WINDOW_MINUTES) || 24 * 60) * 60 * 1000;
+
+/**
+ * Sends (or updates) the rolled-up notification for a target. Actions that
+ * land within the window of the current roll-up join it; later ones start a
+ * new window on the same doc. The roll-up is merged in a transaction on
+ * ListenerState/aggregation__{recipientId}_{collapseKey} (seeded from the
+ * notification doc), and sends for one roll-up are queued one after another.
+ */
+async function sendAggregatedNotification(recipientId, actorId, type, targetType, targetId, data = {}, options = {}) {
+    const { windowMs = LIKE_AGGREGATION_WINDOW_MS, countField = 'likeCount', variables = {} } = options;
+    const collapseKey = `${type}_${targetId}`;
+    const notificationId = `agg_${collapseKey}`;
+    const stateRef = db.collection('ListenerState').doc(`aggregation__${recipientId}_${collapseKey}`);
+    const notificationRef = notificationsRef(recipientId).doc(notificationId);
+
+    return serializeByKey(stateRef.path, async () => {
+        const actor = await db.collection('Users').doc(actorId).get();
+        const actorName = actor.data()?.name || '';
+
+        const aggregation = await db.runTransaction(async transaction => {
+            const [stateDoc, notificationDoc] = await transaction.getAll(stateRef, notificationRef);
+            const existing = stateDoc.exists
+                ? stateDoc.data().aggregation
+                : (notificationDoc.exists ? notificationDoc.data().aggregation : null);
+
+            const windowStartedAt = existing?.windowStartedAt?.toMillis?.();
+            const inWindow = !!windowStartedAt && Date.now() - windowStartedAt < windowMs;
+            if (inWindow && existing.actorIds.includes(actorId)) return null;
+
+            const actorIds = [actorId, ...(inWindow ? existing.actorIds : [])];
+            const actorNames = [actorName, ...(inWindow ? existing.actorNames : [])];
+            const merged = {
+                actorIds: actorIds,
+                actorNames: actorNames.slice(0, 2),
+                actorCount: actorIds.length,
+                windowStartedAt: inWindow ? existing.windowStartedAt : admin.firestore.Timestamp.now(),
+            };
+            transaction.set(stateRef, {
+                aggregation: merged,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+            return merged;
+        });
+        if (!aggregation) return false;
+
+        return sendLocalizedNotification(
+            recipientId,
+            type,
+            {
+                ...variables,
+                senderName: aggregation.actorNames[0],
+                otherName: aggregation.actorNames[1],
+                othersCount: aggregation.actorCount - 1,
+                targetType: targetType
+            },
+            {
+                senderId: actorId,
+                senderName: actor.data()?.name,
+                senderAvatar: actor.data()?.avatar,
+                targetId: targetId,
+                targetType: targetType,
+                [countField]: aggregation.actorCount,
+                ...data
+            },
+            {
+                notificationId: notificationId,
+                collapseKey: collapseKey,
+                fields: { aggregation: aggregation },
+            }
+        );
+    });
+}
+
+/**
+ * CHECKPOINTS: Skip events a listener already handled before a restart
+ *
+ * The first onSnapshot emission reports every existing doc as 'added'; each
+ * listener persists the newest event it processed (ListenerCheckpoints/{name})
+ * and drops anything at or before it from that first emission only. Events
+ * are ordered by the server's create time, then by path, so client clocks do
+ * not matter.
+ */
+function getEventTime(snapshot) {
+    return snapshot.createTime;
+}
+
+// Orders events by time, then by path so events sharing a timestamp are stable
+function compareEvents(eventAt, path, state) {
+    const diff = eventAt.toMillis() - state.lastEventAt.toMillis();
+    if (diff !== 0) return diff;
+    return path.localeCompare(state.lastDocPath || '');
+}
+
+async function loadCheckpoint(name) {
+    const ref = db.collection('ListenerCheckpoints').doc(name);
+    const doc = await ref.get();
+    let state = doc.exists ? doc.data() : null;
+
+    if (!state) {
+        // First run: everything that already exists counts as handled
+        state = { lastEventAt: admin.firestore.Timestamp.now(), lastDocPath: '' };
+        await ref.set(state);
+    }
+
+    // Writes are chained so the stored checkpoint never moves backwards
+    let pendingWrite = Promise.resolve();
+
+    return {
+        isNew(snapshot) {
+            return compareEvents(getEventTime(snapshot), snapshot.ref.path, state) > 0;
+        },
+        advance(snapshot) {
+            const eventAt = getEventTime(snapshot);
+            if (compareEvents(eventAt, snapshot.ref.path, state) <= 0) return pendingWrite;
+
+            state = { lastEventAt: eventAt, lastDocPath: snapshot.ref.path };
+            pendingWrite = pendingWrite
+                .then(() => ref.set({ ...state, updatedAt: admin.firestore.FieldValue.serverTimestamp() }))
+                .catch(e => console.error(`[Checkpoint] Failed to save ${name}:`, e.message));
+            return pendingWrite;
+        },
+    };
+}
+
+/**
+ * Runs `handler(doc)` for every doc added to `query`, one at a time and in
+ * order, and moves the checkpoint past each doc once it is handled, so it
+ * only ever covers a contiguous run of finished events. A failing handler is
+ * logged and skipped rather than replayed on every restart.
+ */
+async function watchNewDocs(name, query, handler) {
+    const checkpoint = await loadCheckpoint(name);
+    let queue = Promise.resolve();
+    let initial = true;
+
+    return query.onSnapshot(snapshot => {
+        let docs = snapshot.docChanges().filter(change => change.type === 'added').map(change => change.doc);
+        if (initial) {
+            initial = false;
+            docs = docs
+                .filter(doc => checkpoint.isNew(doc))
+                .sort((a, b) => a.createTime.toMillis() - b.createTime.toMillis() || a.ref.path.localeCompare(b.ref.path));
+        }
+
+        queue = queue.then(async () => {
+            for (const doc of docs) {
+                try {
+                    await handler(doc);
+                } catch (err) {
+                    console.error(`[Listener Error] ${name} (${doc.ref.path}):`, err.message);
+                }
+                await checkpoint.advance(doc);
+            }
+        });
+    }, err => {
+        console.error(`[Listener Error] ${name}:`, err);
+    });
+}
+
+/**
+ * STATE STORE: Last-seen array fields per document (ListenerState/{scope}__{docId})
+ *
+ * Admin SDK snapshots carry no previous data, so listeners diff against the
+ * values persisted here to find exactly which entries were added or removed.
+ */
+const stateQueues = new Map();
+
+// Runs tasks for the same key one after another, in arrival order
+function serializeByKey(key, task) {
+    const previous = stateQueues.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    stateQueues.set(key, next);
+    const cleanup = () => {
+        if (stateQueues.get(key) === next) stateQueues.delete(key);
+    };
+    next.then(cleanup, cleanup);
+    return next;
+}
+
+/**
+ * Stores `values` as the new state and returns `{ added, removed, seeded }`
+ * relative to what was stored before. The first call for a doc only seeds the
+ * state (nothing counts as added).
+ */
+function listenerStateRef(scope, docId) {
+    return db.collection('ListenerState').doc(`${scope}__${docId}`);
+}
+
+async function diffSetState(scope, docId, values) {
+    const ref = listenerStateRef(scope, docId);
+    const current = [...new Set(values)];
+
+    return serializeByKey(ref.path, () => db.runTransaction(async transaction => {
+        const doc = await transaction.get(ref);
+        const stored = doc.exists ? doc.data().values || [] : [];
+        const previous = new Set(stored);
+        const next = new Set(current);
+
+        const unchanged = doc.exists && previous.size === next.size && current.every(value => previous.has(value));
+        if (!unchanged) {
+            transaction.set(ref, {
+                values: current,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        }
+        if (!doc.exists) return { added: [], removed: [], seeded: true };
+
+        return {
+            added: current.filter(value => !previous.has(value)),
+            removed: stored.filter(value => !next.has(value)),
+            seeded: false,
+        };
+    }));
+}
+
+const STATE_SYNC_PAGE_SIZE = 100;
+
+// Short fingerprint of a set of values, to spot unchanged fields without a read
+function fingerprint(values) {
+    return crypto.createHash('sha1').update(JSON.stringify([...new Set(values)].sort())).digest('base64');
+}
+
+/**
+ * Watches an array field on every doc of `collection` and calls
+ * `onChange(doc, { added, removed })` when it differs from the stored state.
+ * The first snapshot holds every doc, so it is compared page by page with
+ * one read per page: docs without state are seeded in a batch, unchanged ones
+ * are skipped and only the rest go through diffSetState. Later changes wait
+ * until that is done. A fingerprint of the last value seen per doc is kept in
+ * memory, so writes to other fields of the doc do not cost a transaction.
+ */
+function watchArrayField(collection, field, scope, label, onChange) {
+    let ready = null;
+    const lastSeen = new Map();
+
+    const handle = async doc => {
+        const values = doc.data()[field] || [];
+        const seen = fingerprint(values);
+        if (lastSeen.get(doc.id) === seen) return;
+        try {
+            const diff = await diffSetState(scope, doc.id, values);
+            lastSeen.set(doc.id, seen);
+            if (diff.added.length || diff.removed.length) await onChange(doc, diff);
+        } catch (err) {
+            console.error(`[Listener Error] ${label} (${doc.id}):`, err.message);
+        }
+    };
+
+    return db.collection(collection).onSnapshot(snapshot => {
+        const docs = snapshot.docChanges().filter(change => change.type !== 'removed').map(change => change.doc);
+        snapshot.docChanges().filter(change => change.type === 'removed').forEach(change => lastSeen.delete(change.doc.id));
+        if (!ready) {
+            ready = syncInitialState(scope, field, docs, handle, lastSeen)
+                .catch(err => console.error(`[Listener Error] ${label} initial sync:`, err.message));
+            return;
+        }
+        ready.then(() => docs.forEach(handle));
+    }, err => {
+        console.error(`[Listener Error] ${label}:`, err);
+    });
+}
+
+async function syncInitialState(scope, field, docs, handle, lastSeen) {
+    for (const page of chunk(docs, STATE_SYNC_PAGE_SIZE)) {
+        const refs = page.map(doc => listenerStateRef(scope, doc.id));
+        const stored = await db.getAll(...refs);
+        const batch = db.batch();
+        const seeded = [];
+        const changed = [];
+
+        page.forEach((doc, i) => {
+            const values = [...new Set(doc.data()[field] || [])];
+            if (!stored[i].exists) {
+                batch.set(refs[i], { values: values, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+                seeded.push([doc.id, fingerprint(values)]);
+                return;
+            }
+            const previous = new Set(stored[i].data().values || []);
+            if (previous.size !== values.length || values.some(value => !previous.has(value))) {
+                changed.push(doc);
+            } else {
+                lastSeen.set(doc.id, fingerprint(values));
+            }
+        });
+
+        if (seeded.length) await batch.commit();
+        seeded.forEach(([docId, seen]) => lastSeen.set(docId, seen));
+        for (const doc of changed) await handle(doc);
+    }
+}
+
+/**
+ * LISTENERS: Real-Time Engagement
+ *
+ * Each setup function returns (or resolves to) its unsubscribe function.
+ */
+
+// 1. New Reviews Listener
+async function setupNewReviewListener() {
+    return watchNewDocs('new_review', db.collection('Reviews'), async doc => {
+        const review = doc.data();
+        if (review.placeOwnerId && review.userId !== review.placeOwnerId) {
+            await notifyPlaceOwner(doc.id, review)
+                .catch(err => console.error('[Listener Error] Review owner:', err.message));
+        }
+        await notifyMentions({
+            text: getMentionText(review),
+            author: review,
+            eventId: doc.id,
+            mentionIn: 'review',
+            data: {
+                targetId: doc.id,
+                targetType: 'review',
+                placeId: review.placeId,
+                reviewId: doc.id
+            },
+            excludeIds: [review.placeOwnerId]
+        }).catch(err => console.error('[Listener Error] Review mentions:', err.message));
+        await dispatchWebhookEvent(review.placeId, 'review.created', doc.id, {
+            reviewId: doc.id,
+            userId: review.userId,
+            userName: review.userName || '',
+            rating: review.rating ?? null,
+            text: getMentionText(review),
+            placeName: review.placeName || ''
+        }).catch(err => console.error('[Listener Error] Review webhooks:', err.message));
+        if (review.placeId) {
+            await sendTopicNotification('place', review.placeId, 'place_review', {
+                senderName: review.userName,
+                placeName: review.placeName
+            }, {
+                senderId: review.userId,
+                senderName: review.userName,
+                senderAvatar: review.userAvatar,
+                targetId: review.placeId,
+                targetType: 'place',
+                placeId: review.placeId,
+                reviewId: doc.id
+            }, doc.id).catch(err => console.error('[Listener Error] Place topic:', err.message));
+        }
+    });
+}
+
+const REVIEW_SNIPPET_LENGTH = 100;
+
+/**
+ * Rating-aware owner notification: a low rating (at or below the owner's
+ * threshold) is a high-priority alert, positive ones roll into a per-place
+ * summary. Unrated reviews keep the plain new_review.
+ */
+async function notifyPlaceOwner(reviewId, review) {
+    const ownerId = review.placeOwnerId;
+    const rating = Number(review.rating) || 0;
+    const data = {
+        senderId: review.userId,
+        senderName: review.userName,
+        senderAvatar: review.userAvatar,
+        targetId: review.placeId,
+        targetType: 'place',
+        placeId: review.placeId,
+        reviewId: reviewId
+    };
+    const { reviewAlerts } = rating ? await getPreferences(ownerId) : {};
+
+    if (rating && rating <= reviewAlerts.lowRatingThreshold) {
+        const snippet = (getMentionText(review) || '').substring(0, REVIEW_SNIPPET_LENGTH);
+        return sendLocalizedNotification(
+            ownerId,
+            'low_rating_review',
+            { senderName: review.userName, placeName: review.placeName, rating: rating, snippet: snippet },
+            { ...data, rating: rating, reviewText: snippet },
+            { eventId: `low_rating_review_${reviewId}` }
+        );
+    }
+
+    if (rating && reviewAlerts.summarizePositive && review.placeId) {
+        return sendAggregatedNotification(ownerId, review.userId, 'review_summary', 'place', review.placeId, {
+            placeId: review.placeId,
+            reviewId: reviewId,
+            rating: rating
+        }, {
+            windowMs: REVIEW_SUMMARY_WINDOW_MS,
+            countField: 'reviewCount',
+            variables: { placeName: review.placeName },
+        });
+    }
+
+    return sendLocalizedNotification(
+        ownerId,
+        'new_review',
+        { senderName: review.userName },
+        data,
+        { eventId: `new_review_${reviewId}` }
+    );
+}
+
+// 2. Comments Listener (Covers Reviews AND Posts)
+async function setupNewCommentListener() {
+    return watchNewDocs('new_comment', db.collectionGroup('Comments'), async doc => {
+        const comment = doc.data();
+        const path = doc.ref.path;
+        // Who was already notified about this comment, and where it lives (for mentions)
+        const notified = [];
+        const location = {};
+
+        // CASE A: Top-level Comments collection (usually for Reviews)
+        if (path.startsWith('Comments/')) {
+            if (comment.parentType === 'review' && comment.parentId) {
+                const reviewDoc = await db.collection('Reviews').doc(comment.parentId).get();
+                const review = reviewDoc.data();
+                Object.assign(location, { placeId: review?.placeId, reviewId: comment.parentId });
+                if (review && comment.userId !== review.userId) {
+                    notified.push(review.userId);
+                    await sendLocalizedNotification(
+                        review.userId,
+                        'new_comment',
+                        { senderName: comment.userName, targetType: 'review' },
+                        {
+                            senderId: comment.userId,
+                            senderName: comment.userName,
+                            senderAvatar: comment.userAvatar,
+                            targetId: comment.parentId,
+                            targetType: 'review',
+                            placeId: review.placeId,
+                            reviewId: comment.parentId,
+                            commentId: doc.id
+                        },
+                        { eventId: `new_comment_${doc.id}` }
+                    );
+                }
+            }
+        }
+        // CASE B: Post subcollection (Posts/{postId}/Comments/{id})
+        else if (path.includes('Posts/')) {
+            const postId = path.split('/')[1];
+            const postDoc = await db.collection('Posts').doc(postId).get();
+            const post = postDoc.data();
+            location.postId = postId;
+            if (post && comment.userId !== post.userId) {
+                notified.push(post.userId);
+                await sendLocalizedNotification(
+                    post.userId,
+                    'new_comment',
+                    { senderName: comment.userName, targetType: 'post' },
+                    {
+                        senderId: comment.userId,
+                        senderName: comment.userName,
+                        senderAvatar: comment.userAvatar,
+                        targetId: postId,
+                        targetType: 'post',
+                        postId: postId,
+                        commentId: doc.id
+                    },
+                    { eventId: `new_comment_${doc.id}` }
+                );
+            }
+        }
+
+        // HANDLE REPLIES (Works for both)
+        if (comment.parentCommentId) {
+            const parentDoc = await db.collectionGroup('Comments').where('id', '==', comment.parentCommentId).get();
+            if (!parentDoc.empty) {
+                const parent = parentDoc.docs[0].data();
+                if (parent && comment.userId !== parent.userId) {
+                    notified.push(parent.userId);
+                    await sendLocalizedNotification(
+                        parent.userId,
+                        'comment_replied',
+                        { senderName: comment.userName },
+                        {
+                            senderId: comment.userId,
+                            senderName: comment.userName,
+                            senderAvatar: comment.userAvatar,
+                            targetId: comment.parentCommentId,
+                            targetType: 'comment',
+                            postId: comment.postId || '',
+                            placeId: parent.placeId || '',
+                            commentId: doc.id,
+                            parentCommentId: comment.parentCommentId
+                        },
+                        { eventId: `comment_replied_${doc.id}` }
+                    );
+                }
+            }
+        }
+
+        await notifyMentions({
+            text: getMentionText(comment),
+            author: comment,
+            eventId: doc.id,
+            mentionIn: 'comment',
+            data: {
+                targetId: doc.id,
+                targetType: 'comment',
+                postId: location.postId || comment.postId || '',
+                placeId: location.placeId || '',
+                reviewId: location.reviewId || '',
+                commentId: doc.id
+            },
+            excludeIds: notified
+        }).catch(err => console.error('[Listener Error] Comment mentions:', err.message));
+        // Only comments on a place's reviews belong to a place
+        if (location.placeId) {
+            await dispatchWebhookEvent(location.placeId, 'comment.created', doc.id, {
+                commentId: doc.id,
+                reviewId: location.reviewId,
+                userId: comment.userId,
+                userName: comment.userName || '',
+                text: getMentionText(comment)
+            }).catch(err => console.error('[Listener Error] Comment webhooks:', err.message));
+        }
+    });
+}
+
+// 3. New Posts Listener (fan-out to the author's followers, @mentions)
+async function setupNewPostListener() {
+    return watchNewDocs('new_post', db.collection('Posts'), async doc => {
+        const post = doc.data();
+        if (post.userId) {
+            await enqueuePostFanout(doc.id, post)
+                .catch(err => console.error('[Listener Error] Post fan-out:', err.message));
+        }
+        // Followers the fan-out reaches already hear about the post
+        await notifyMentions({
+            text: getMentionText(post),
+            author: post,
+            eventId: doc.id,
+            mentionIn: 'post',
+            data: {
+                targetId: doc.id,
+                targetType: 'post',
+                postId: doc.id
+            },
+            excludeIds: async mentionedIds => {
+                if (!post.userId) return [];
+                return getFanoutRecipientIds(post.userId, mentionedIds).catch(err => {
+                    console.error('[Listener Error] Post followers:', err.message);
+                    return [];
+                });
+            }
+        }).catch(err => console.error('[Listener Error] Post mentions:', err.message));
+    });
+}
+
+// 4. Post/Review Likes Listener
+function setupLikeListeners() {
+    const unsubscribers = [
+        watchLikes('Reviews', 'likes', 'review_liked', 'review', (review, reviewId) => ({
+            placeId: review.placeId,
+            reviewId: reviewId
+        }), (review, reviewId, likerId) => dispatchWebhookEvent(review.placeId, 'review.liked', `${reviewId}_${likerId}`, {
+            reviewId: reviewId,
+            userId: likerId,
+            likeCount: (review.likes || []).length
+        })),
+        watchLikes('Posts', 'likedBy', 'post_liked', 'post', (post, postId) => ({
+            postId: postId
+        })),
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
+
+/**
+ * Diffs a like array against the state store and notifies the owner once per
+ * new liker, however many likes arrive in one change. `onLike` runs for each
+ * new like as well (e.g. webhooks).
+ */
+function watchLikes(collection, likesField, type, targetType, buildData, onLike) {
+    return watchArrayField(collection, likesField, `${collection}_${likesField}`, `${collection} likes`, async (doc, { added }) => {
+        const target = doc.data();
+        for (const likerId of added) {
+            if (!likerId || likerId === target.userId) continue;
+            await sendAggregatedNotification(
+                target.userId,
+                likerId,
+                type,
+                targetType,
+                doc.id,
+                buildData(target, doc.id)
+            );
+            if (onLike) {
+                await onLike(target, doc.id, likerId)
+                    .catch(err => console.error(`[Listener Error] ${collection} like hook:`, err.message));
+            }
+        }
+    });
+}
+
+// 5. New Followers Listener
+const AUDIT_UNFOLLOWS = process.env.AUDIT_UNFOLLOWS !== 'false';
+
+function setupNewFollowerListener() {
+    console.log('[Listener] Setting up listener for new followers...');
+
+    // 'added' is handled too: on startup it catches up on follows made while we were down
+    return watchArrayField('Users', 'followers', 'followers', 'New Followers', async (doc, { added, removed }) => {
+        const userId = doc.id;
+        await recordFollowerEvents(userId, added, AUDIT_UNFOLLOWS ? removed : []);
+
+        for (const followerId of added) {
+            if (followerId === userId) continue;
+
+            const followerDoc = await db.collection('Users').doc(followerId).get();
+            const followerData = followerDoc.data();
+
+            await sendLocalizedNotification(
+                userId,
+                'new_follower',
+                { senderName: followerData?.name },
+                {
+                    senderId: followerId,
+                    senderName: followerData?.name || 'User',
+                    senderAvatar: followerData?.avatar || '',
+                    targetId: followerId,
+                    targetType: 'user'
+                },
+                // The update time tells a re-follow apart from the original follow
+                { eventId: `new_follower_${followerId}_${doc.updateTime.toMillis()}` }
+            );
+        }
+    });
+}
+
+// Audit trail of follower changes (Users/{id}/FollowerEvents); unfollows never push
+async function recordFollowerEvents(userId, followed, unfollowed) {
+    const events = [
+        ...followed.map(followerId => ({ type: 'follow', followerId: followerId })),
+        ...unfollowed.map(followerId => ({ type: 'unfollow', followerId: followerId })),
+    ];
+    const eventsRef = db.collection('Users').doc(userId).collection('FollowerEvents');
+
+    for (const eventBatch of chunk(events, FIRESTORE_BATCH_LIMIT)) {
+        const batch = db.batch();
+        eventBatch.forEach(event => batch.set(eventsRef.doc(), {
+            ...event,
+            at: admin.firestore.FieldValue.serverTimestamp(),
+        }));
+        await batch.commit();
+    }
+}
+
+
+module.exports = {
+    setupNewReviewListener,
+    setupNewCommentListener,
+    setupNewPostListener,
+    setupLikeListeners,
+    setupNewFollowerListener,
+};
@@ -0,0 +1,77 @@
+const { db } = require('./firebase');
+const { chunk } = require('./utils');
+const { sendLocalizedNotification } = require('./outbox');
+
+/**
+ * MENTIONS: @username parsing and `mentioned` notifications
+ *
+ * Usernames are matched against the `username` field on Users, which is
+ * stored lowercase, so matching is case-insensitive.
+ */
+// '@' must not follow a word character, so e-mail addresses are not mentions
+const MENTION_PATTERN = /(^|[^\w@])@([a-zA-Z0-9_.]{2,30})/g;
+const MAX_MENTIONS = 20;
+// Firestore 'in' filters accept at most 30 values
+const FIRESTORE_IN_LIMIT = 30;
+
+function extractMentions(text) {
+    if (typeof text !== 'string' || !text.includes('@')) return [];
+
+    const usernames = new Set();
+    for (const match of text.matchAll(MENTION_PATTERN)) {
+        usernames.add(match[2].replace(/\.+$/, '').toLowerCase());
+        if (usernames.size >= MAX_MENTIONS) break;
+    }
+    return [...usernames];
+}
+
+async function resolveMentions(usernames) {
+    const userIds = new Set();
+    for (const names of chunk(usernames, FIRESTORE_IN_LIMIT)) {
+        const snapshot = await db.collection('Users').where('username', 'in', names).get();
+        snapshot.docs.forEach(doc => userIds.add(doc.id));
+    }
+    return [...userIds];
+}
+
+// Posts, reviews and comments do not agree on the text field name
+function getMentionText(doc) {
+    return doc.text || doc.content || doc.comment || doc.reviewText || '';
+}
+
+/**
+ * Sends a `mentioned` notification to every user @mentioned in `text`,
+ * except the author and anyone in `excludeIds` (users already notified about
+ * the same event). `excludeIds` can also be an async function that picks them
+ * from the mentioned user IDs. `eventId` is the source doc so replays are no-ops.
+ */
+async function notifyMentions({ text, author, eventId, mentionIn, data, excludeIds = [] }) {
+    const usernames = extractMentions(text);
+    if (!usernames.length) return [];
+
+    const mentioned = (await resolveMentions(usernames)).filter(userId => userId !== author.userId);
+    const excluded = new Set(typeof excludeIds === 'function' ? await excludeIds(mentioned) : excludeIds);
+    const recipients = mentioned.filter(userId => !excluded.has(userId));
+
+    for (const recipientId of recipients) {
+        await sendLocalizedNotification(
+            recipientId,
+            'mentioned',
+            { senderName: author.userName, mentionIn },
+            {
+                senderId: author.userId,
+                senderName: author.userName,
+                senderAvatar: author.userAvatar,
+                ...data
+            },
+            { eventId: `mentioned_${eventId}` }
+        );
+    }
+    return recipients;
+}
+
+module.exports = {
+    extractMentions,
+    getMentionText,
+    notifyMentions,
+};
@@ -0,0 +1,291 @@
+const { admin, db } = require('./firebase');
+const { FIRESTORE_BATCH_LIMIT, removeUndefined } = require('./utils');
+const { notificationsRef, getUnreadCount } = require('./inbox');
+const { getPreferences, resolveDeliveryMode, getQuietHoursEnd } = require('./preferences');
+const { resolveLocale, renderTemplate } = require('./templates');
+const { selectChannels, deliverToChannels } = require('./channels');
+const { checkNotificationThrottle } = require('./throttle');
+
+/**
+ * DELIVERY: Channel results on the notification doc, deferred delivery
+ */
+const DEFERRED_DELIVERY_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Fields to store for a channel run. The top-level push fields predate
+ * channels and are still read by clients, so they mirror the fcm result
+ * (its per-device list is only kept there).
+ */
+function channelFields(results) {
+    const { deliveries = [], ...fcm } = results.fcm || {};
+    return {
+        channels: { ...results, ...(results.fcm ? { fcm } : {}) },
+        delivered: fcm.status === 'sent',
+        fcmMessageId: fcm.fcmMessageId || null,
+        deliveries: deliveries,
+        deliveredCount: fcm.deliveredCount || 0,
+    };
+}
+
+/**
+ * The notification doc every sender stores (and hands to the channels).
+ * Sender and target fields come from `data`, which is also stored as the
+ * doc's `data` unless `extraData` is given; a generic targetId is mapped to
+ * the matching postId/placeId/reviewId/commentId and back. `fields` adds
+ * extra top-level fields.
+ */
+function buildNotificationDoc({
+    id, recipientId, title, body, type, data = {}, extraData, locale = null, collapseKey = null,
+    deferredUntil = null, outboxId = null, throttled = null, fields = {},
+}) {
+    // Ensure all IDs are present or empty strings
+    let targetId = data.targetId || '';
+    let targetType = data.targetType || '';
+    let postId = data.postId || '';
+    let placeId = data.placeId || '';
+    let reviewId = data.reviewId || '';
+    let commentId = data.commentId || '';
+
+    // PRO-LEVEL: Intelligent mapping if IDs are passed as generic targetId
+    if (targetType === 'post' && !postId) postId = targetId;
+    if (targetType === 'place' && !placeId) placeId = targetId;
+    if (targetType === 'review' && !reviewId) reviewId = targetId;
+    if (targetType === 'comment' && !commentId) commentId = targetId;
+
+    // Reverse mapping for data consistency
+    if (postId && !targetId) { targetId = postId; targetType = 'post'; }
+    if (placeId && !targetId) { targetId = placeId; targetType = 'place'; }
+
+    return {
+        id: id,
+        recipientId: recipientId,
+        title: title,
+        body: body,
+        type: type,
+        senderId: data.senderId || '',
+        senderName: data.senderName || '',
+        senderAvatar: data.senderAvatar || '',
+        targetId: targetId,
+        targetType: targetType,
+        postId: postId,
+        placeId: placeId,
+        reviewId: reviewId,
+        commentId: commentId,
+        isRead: false,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        channels: {},
+        delivered: false,
+        fcmMessageId: null,
+        deliveries: [],
+        deliveredCount: 0,
+        deferred: !!deferredUntil,
+        deferredUntil: deferredUntil ? admin.firestore.Timestamp.fromDate(deferredUntil) : null,
+        collapseKey: collapseKey,
+        locale: locale,
+        outboxId: outboxId,
+        throttled: throttled,
+        data: removeUndefined(extraData === undefined ? data : extraData),
+        ...fields,
+    };
+}
+
+/**
+ * Runs the external channels for notifications that were stored during quiet
+ * hours once their window has ended. Items read in the meantime are released
+ * without being sent.
+ */
+async function deliverDeferredNotifications() {
+    const now = admin.firestore.Timestamp.now();
+    const snapshot = await db.collectionGroup('Notifications')
+        .where('deferred', '==', true)
+        .where('deferredUntil', '<=', now)
+        .limit(FIRESTORE_BATCH_LIMIT)
+        .get();
+
+    for (const doc of snapshot.docs) {
+        const notification = doc.data();
+        const recipientId = notification.recipientId;
+        try {
+            if (notification.isRead) {
+                await doc.ref.update({ deferred: false });
+                continue;
+            }
+
+            const userDoc = await db.collection('Users').doc(recipientId).get();
+            const userData = userDoc.data() || {};
+            const preferences = await getPreferences(recipientId);
+            const badgeCount = await getUnreadCount(recipientId, userData);
+            const { results } = await deliverToChannels(
+                selectChannels(preferences),
+                { recipientId, userData, notification, badgeCount },
+                notification.channels
+            );
+            await doc.ref.update({ ...channelFields(results), deferred: false });
+        } catch (e) {
+            console.error(`[deliverDeferredNotifications] ${doc.ref.path}:`, e.message);
+        }
+    }
+
+    if (snapshot.size > 0) {
+        console.log(`🌅 [Deferred] Delivered ${snapshot.size} notification(s) after quiet hours`);
+    }
+}
+
+// Returns a function that stops the loop
+function startDeferredDeliveryLoop() {
+    const timer = setInterval(() => {
+        deliverDeferredNotifications().catch(e => {
+            console.error('[Deferred] Loop error:', e.message);
+        });
+    }, DEFERRED_DELIVERY_INTERVAL_MS);
+    return () => clearInterval(timer);
+}
+
+// True when `incoming` is an earlier state of the roll-up than `stored`
+function isStaleAggregation(incoming, stored) {
+    const incomingWindow = incoming.windowStartedAt?.toMillis?.() || 0;
+    const storedWindow = stored.windowStartedAt?.toMillis?.() || 0;
+    if (incomingWindow !== storedWindow) return incomingWindow < storedWindow;
+    return incoming.actorCount < stored.actorCount;
+}
+
+/**
+ * CORE: Send and Save Notifications
+ */
+/**
+ * Builds, delivers (through the user's channels) and stores one notification.
+ * Called by the outbox worker; returns `{ ok, retryable, error }` so failed
+ * attempts can be rescheduled.
+ *
+ * `options.notificationId` writes to a stable doc instead of a fresh one
+ * (updated in place), `options.collapseKey` makes devices replace the previous
+ * push, and `options.fields` adds extra top-level fields to the doc.
+ * With `options.variables` the title and body are rendered from the type's
+ * template in the recipient's language instead of being passed in.
+ */
+async function deliverNotification(recipientId, title, body, type, data = {}, options = {}) {
+    const userDoc = await db.collection('Users').doc(recipientId).get();
+    if (!userDoc.exists) {
+        console.warn(`[deliverNotification] User ${recipientId} not found`);
+        return { ok: false, retryable: false, error: 'User not found' };
+    }
+
+    let locale = null;
+    if (options.variables) {
+        const rendered = renderTemplate(type, resolveLocale(userDoc.data()?.language), options.variables);
+        if (!rendered) {
+            return { ok: false, retryable: false, error: `No template for type ${type}` };
+        }
+        ({ title, body, locale } = rendered);
+    }
+
+    let senderAvatar = data.senderAvatar || '';
+    const senderName = data.senderName || '';
+
+    // avatar logic
+    let hasAvatar = false;
+    if (senderAvatar && senderAvatar.startsWith('http')) {
+        hasAvatar = true;
+    } else if (senderAvatar === '') {
+        const initials = (senderName || 'U').charAt(0).toUpperCase();
+        senderAvatar = `https://ui-avatars.com/api/?name=${encodeURIComponent(initials)}&background=1C59A4&color=fff&size=200&bold=true`;
+        hasAvatar = true;
+    }
+
+    const notificationId = options.notificationId || `notif_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    // An in-place update of a still-unread doc must not count twice
+    let countsAsUnread = true;
+    let previousChannels = {};
+    let isRetry = false;
+    if (options.notificationId) {
+        const previous = await notificationsRef(recipientId).doc(notificationId).get();
+        countsAsUnread = !previous.exists || previous.data().isRead !== false;
+        // A retry of the same outbox item does not re-run channels that already
+        // delivered; a new send into the same doc (e.g. a roll-up) runs them all
+        isRetry = !!(previous.exists && options.outboxId && previous.data().outboxId === options.outboxId);
+        previousChannels = (isRetry && previous.data().channels) || {};
+
+        // Each roll-up update is its own outbox item; one retried after a newer update was stored is dropped
+        const incoming = options.fields?.aggregation;
+        const stored = previous.data()?.aggregation;
+        if (incoming && stored && isStaleAggregation(incoming, stored)) {
+            console.log(`⏭️ [deliverNotification] Stale roll-up ${notificationId} for ${recipientId} dropped`);
+            return { ok: true };
+        }
+    }
+
+    const preferences = await getPreferences(recipientId);
+    let deliveryMode = resolveDeliveryMode(preferences, type);
+    if (deliveryMode === 'off') {
+        console.log(`🔕 [deliverNotification] ${type} disabled by ${recipientId}`);
+        return { ok: true };
+    }
+
+    // Over a throttle cap the notification is kept in the inbox without a push
+    // (the first attempt already counted it, so retries are not checked again)
+    let throttled = null;
+    if (deliveryMode === 'push' && !isRetry) {
+        const throttle = await checkNotificationThrottle({ recipientId, senderId: data.senderId, type });
+        if (!throttle.allowed) {
+            throttled = throttle.reason;
+            deliveryMode = 'inbox';
+            console.log(`🚦 [deliverNotification] ${type} for ${recipientId} throttled (${throttled}), inbox only`);
+        }
+    }
+    const deferredUntil = deliveryMode === 'push' ? getQuietHoursEnd(preferences.quietHours) : null;
+
+    // Save to Firestore
+    const notificationDoc = buildNotificationDoc({
+        id: notificationId,
+        recipientId: recipientId,
+        title: title,
+        body: body,
+        type: type,
+        data: { ...data, senderAvatar: senderAvatar },
+        extraData: data,
+        locale: locale,
+        collapseKey: options.collapseKey || null,
+        deferredUntil: deferredUntil,
+        outboxId: options.outboxId || null,
+        throttled: throttled,
+        fields: options.fields,
+    });
+
+    let deliveryResult = { ok: true };
+    const external = deliveryMode === 'push' && !deferredUntil;
+    // Badge reflects the inbox once this notification is stored
+    const badgeCount = external ? (await getUnreadCount(recipientId, userDoc.data())) + (countsAsUnread ? 1 : 0) : undefined;
+    const { results, retryable } = await deliverToChannels(
+        selectChannels(preferences, { external }),
+        { recipientId, userData: userDoc.data(), notification: notificationDoc, badgeCount },
+        previousChannels
+    );
+    Object.assign(notificationDoc, channelFields(results));
+    if (retryable) {
+        const failed = Object.keys(results).filter(name => results[name].retryable);
+        deliveryResult = { ok: false, retryable: true, error: `Transient failure on ${failed.join(', ')}` };
+    }
+    if (deferredUntil) {
+        console.log(`🌙 [deliverNotification] Quiet hours for ${recipientId}, deferring push until ${deferredUntil.toISOString()}`);
+    }
+
+    const batch = db.batch();
+    batch.set(notificationsRef(recipientId).doc(notificationId), notificationDoc);
+    if (countsAsUnread) {
+        batch.set(db.collection('Users').doc(recipientId), {
+            unreadCount: admin.firestore.FieldValue.increment(1),
+        }, { merge: true });
+    }
+    await batch.commit();
+    return deliveryResult;
+}
+
+
+module.exports = {
+    channelFields,
+    buildNotificationDoc,
+    deliverDeferredNotifications,
+    startDeferredDeliveryLoop,
+    deliverNotification,
+};
@@ -0,0 +1,193 @@
+const { admin, db } = require('./firebase');
+const { GRPC_ALREADY_EXISTS, removeUndefined } = require('./utils');
+const { deliverNotification } = require('./notifications');
+const { claimQueueItem, processDueQueueItems, startQueueWorker } = require('./queue');
+
+/**
+ * OUTBOX: Durable queue in front of delivery (NotificationOutbox/{id})
+ *
+ * Every send is stored first, then claimed and processed; failed attempts are
+ * retried with exponential backoff until they succeed or are dead-lettered.
+ */
+const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 6;
+const OUTBOX_BASE_DELAY_MS = 30 * 1000;
+const OUTBOX_MAX_DELAY_MS = 60 * 60 * 1000;
+// A claimed item whose worker died becomes claimable again after this
+const OUTBOX_LOCK_MS = 2 * 60 * 1000;
+const OUTBOX_POLL_INTERVAL_MS = 15 * 1000;
+const OUTBOX_BATCH_SIZE = 50;
+// Sent items get an expireAt for a Firestore TTL policy
+const OUTBOX_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+function outboxRef() {
+    return db.collection('NotificationOutbox');
+}
+
+function getBackoffDelay(attempts) {
+    return Math.min(OUTBOX_BASE_DELAY_MS * 2 ** (attempts - 1), OUTBOX_MAX_DELAY_MS);
+}
+
+/**
+ * Stores the send in the outbox. With `options.eventId` the outbox and
+ * notification IDs derive from the source event, so enqueueing the same event
+ * twice returns null instead of queueing a duplicate.
+ */
+async function enqueueNotification(recipientId, title, body, type, data = {}, options = {}) {
+    const ref = options.eventId ? outboxRef().doc(`${recipientId}_${options.eventId}`) : outboxRef().doc();
+    const item = {
+        recipientId: recipientId,
+        title: title,
+        body: body,
+        type: type,
+        data: removeUndefined(data),
+        // The notification ID is fixed up front so retries overwrite the same doc
+        options: removeUndefined({
+            ...options,
+            notificationId: options.notificationId || options.eventId || `notif_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        }),
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: admin.firestore.Timestamp.now(),
+        lockedUntil: null,
+        lastError: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    try {
+        await ref.create(item);
+    } catch (e) {
+        if (e.code === GRPC_ALREADY_EXISTS) return null;
+        throw e;
+    }
+    return ref;
+}
+
+async function processOutboxItem(ref) {
+    const item = await claimQueueItem(ref, {
+        isReady: outboxItem => outboxItem.status === 'pending',
+        lockMs: OUTBOX_LOCK_MS,
+    });
+    if (!item) return false;
+
+    const attempts = (item.attempts || 0) + 1;
+    let result;
+    try {
+        result = await deliverNotification(item.recipientId, item.title, item.body, item.type, item.data, {
+            ...item.options,
+            outboxId: ref.id,
+        });
+    } catch (e) {
+        result = { ok: false, retryable: true, error: e.message };
+    }
+
+    if (result.ok) {
+        await ref.update({
+            status: 'sent',
+            attempts: attempts,
+            lockedUntil: null,
+            lastError: null,
+            sentAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            expireAt: admin.firestore.Timestamp.fromMillis(Date.now() + OUTBOX_RETENTION_MS),
+        });
+        return true;
+    }
+
+    const dead = !result.retryable || attempts >= OUTBOX_MAX_ATTEMPTS;
+    await ref.update({
+        status: dead ? 'dead' : 'pending',
+        attempts: attempts,
+        lockedUntil: null,
+        lastError: result.error || 'Unknown error',
+        nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + getBackoffDelay(attempts)),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    if (dead) {
+        console.error(`☠️ [Outbox] ${ref.id} dead-lettered after ${attempts} attempt(s): ${result.error}`);
+    } else {
+        console.warn(`[Outbox] ${ref.id} attempt ${attempts} failed, retrying: ${result.error}`);
+    }
+    return false;
+}
+
+async function processDueOutboxItems() {
+    return processDueQueueItems(outboxRef(), {
+        readyStatus: 'pending',
+        dueField: 'nextAttemptAt',
+        batchSize: OUTBOX_BATCH_SIZE,
+        processItem: processOutboxItem,
+        tag: 'Outbox',
+    });
+}
+
+// Returns a function that stops the worker
+function startOutboxWorker() {
+    return startQueueWorker(processDueOutboxItems, { intervalMs: OUTBOX_POLL_INTERVAL_MS, tag: 'Outbox' });
+}
+
+/**
+ * Enqueues the notification durably, then makes the first attempt right away.
+ * Resolves to `{ queued, dead, error }`: `queued` is false when it could not
+ * be queued, `dead` when the first attempt dead-lettered it (e.g. the
+ * recipient does not exist). An `options.eventId` already handled counts as
+ * queued.
+ */
+async function enqueueAndAttempt(recipientId, title, body, type, data = {}, options = {}) {
+    let ref;
+    try {
+        ref = await enqueueNotification(recipientId, title, body, type, data, options);
+    } catch (e) {
+        console.error(`[sendAndLogNotification] Global Error:`, e.message);
+        return { queued: false, dead: false, error: e.message };
+    }
+    if (!ref) {
+        console.log(`⏭️ [sendAndLogNotification] ${options.eventId} already queued for ${recipientId}`);
+        return { queued: true, dead: false, error: null };
+    }
+
+    try {
+        if (!await processOutboxItem(ref)) {
+            const item = (await ref.get()).data();
+            if (item?.status === 'dead') return { queued: true, dead: true, error: item.lastError || 'Dead-lettered' };
+        }
+    } catch (e) {
+        // Still queued; the worker will pick it up
+        console.warn(`[sendAndLogNotification] First attempt for ${ref.id} failed:`, e.message);
+    }
+    return { queued: true, dead: false, error: null };
+}
+
+/**
+ * Entry point used by the listeners and endpoints. Returns true once queued
+ * (see enqueueAndAttempt), false when it could not be queued or the first
+ * attempt dead-lettered it.
+ */
+async function sendAndLogNotification(recipientId, title, body, type, data = {}, options = {}) {
+    const result = await enqueueAndAttempt(recipientId, title, body, type, data, options);
+    return result.queued && !result.dead;
+}
+
+/**
+ * Same as sendAndLogNotification, but the title and body come from the type's
+ * template, rendered with `variables` in the recipient's language.
+ */
+async function sendLocalizedNotification(recipientId, type, variables = {}, data = {}, options = {}) {
+    return sendAndLogNotification(recipientId, null, null, type, data, {
+        ...options,
+        variables: removeUndefined(variables),
+    });
+}
+
+
+module.exports = {
+    outboxRef,
+    enqueueNotification,
+    processOutboxItem,
+    processDueOutboxItems,
+    startOutboxWorker,
+    enqueueAndAttempt,
+    sendAndLogNotification,
+    sendLocalizedNotification,
+};
@@ -0,0 +1,251 @@
+const { db } = require('./firebase');
+const { getChannel } = require('./channels');
+
+/**
+ * PREFERENCES: Per-type delivery modes, delivery channels, quiet hours,
+ * place-owner review alerts and the email digest (Users/{id}/Settings/notifications)
+ */
+const NOTIFICATION_TYPES = ['new_review', 'low_rating_review', 'review_summary', 'new_comment', 'comment_replied', 'review_liked', 'post_liked', 'new_follower', 'new_post', 'mentioned', 'place_review', 'campaign'];
+// 'push' = inbox + push, 'inbox' = inbox only, 'off' = not stored at all
+const DELIVERY_MODES = ['push', 'inbox', 'off'];
+const MAX_RATING = 5;
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const DEFAULT_PREFERENCES = {
+    pushEnabled: true,
+    types: {},
+    // Channel name → on/off; unlisted channels use their own default (see channels)
+    channels: {},
+    quietHours: {
+        enabled: false,
+        start: '22:00',
+        end: '07:00',
+        timeZone: 'UTC',
+    },
+    // Reviews rated at or below the threshold alert the owner; the others are
+    // rolled into a summary unless summarizePositive is false
+    reviewAlerts: {
+        lowRatingThreshold: 2,
+        summarizePositive: true,
+    },
+    // By default only users with no push device get the digest
+    digest: {
+        frequency: 'daily',
+        onlyWithoutPush: true,
+    },
+};
+
+function preferencesRef(userId) {
+    return db.collection('Users').doc(userId).collection('Settings').doc('notifications');
+}
+
+function mergePreferences(stored = {}) {
+    return {
+        pushEnabled: stored.pushEnabled ?? DEFAULT_PREFERENCES.pushEnabled,
+        types: { ...DEFAULT_PREFERENCES.types, ...stored.types },
+        channels: { ...DEFAULT_PREFERENCES.channels, ...stored.channels },
+        quietHours: { ...DEFAULT_PREFERENCES.quietHours, ...stored.quietHours },
+        reviewAlerts: { ...DEFAULT_PREFERENCES.reviewAlerts, ...stored.reviewAlerts },
+        digest: { ...DEFAULT_PREFERENCES.digest, ...stored.digest },
+    };
+}
+
+async function getPreferences(userId) {
+    const doc = await preferencesRef(userId).get();
+    return mergePreferences(doc.exists ? doc.data() : {});
+}
+
+function resolveDeliveryMode(preferences, type) {
+    const mode = preferences.types[type] || 'push';
+    if (mode === 'push' && !preferences.pushEnabled) return 'inbox';
+    return mode;
+}
+
+function parseTimeOfDay(value) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// Wall-clock fields of `date` in `timeZone`
+function zonedParts(timeZone, date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date);
+    const value = type => Number(parts.find(part => part.type === type).value);
+    return {
+        year: value('year'),
+        month: value('month'),
+        day: value('day'),
+        hour: value('hour'),
+        minute: value('minute'),
+        second: value('second'),
+    };
+}
+
+// Milliseconds `timeZone` is ahead of UTC at `date`
+function zoneOffset(timeZone, date) {
+    const local = zonedParts(timeZone, date);
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a local date and time happens in `timeZone`. The offset is
+ * taken again at the first guess so DST changes between the two are honoured;
+ * a time skipped by a spring-forward is moved forward by the gap.
+ */
+function zonedTimeToDate(timeZone, year, month, day, minutesOfDay) {
+    const wallClock = Date.UTC(year, month - 1, day, Math.floor(minutesOfDay / 60), minutesOfDay % 60);
+    const guess = wallClock - zoneOffset(timeZone, new Date(wallClock));
+    const offset = zoneOffset(timeZone, new Date(guess));
+    const result = wallClock - offset;
+    // The offset at the result disagrees only when the local time does not exist
+    if (zoneOffset(timeZone, new Date(result)) !== offset) return new Date(Math.max(guess, result));
+    return new Date(result);
+}
+
+/**
+ * Returns when the current quiet-hours window ends, or null when pushes may
+ * be sent now. Windows may wrap midnight (e.g. 22:00 → 07:00). The end is
+ * worked out on the local calendar, so DST changes inside the window are
+ * accounted for.
+ */
+function getQuietHoursEnd(quietHours, now = new Date()) {
+    if (!quietHours?.enabled) return null;
+
+    const start = parseTimeOfDay(quietHours.start);
+    const end = parseTimeOfDay(quietHours.end);
+    if (start === null || end === null || start === end) return null;
+
+    const timeZone = quietHours.timeZone || 'UTC';
+    let local;
+    try {
+        local = zonedParts(timeZone, now);
+    } catch {
+        return null;
+    }
+    const current = local.hour * 60 + local.minute;
+
+    const inWindow = start < end
+        ? current >= start && current < end
+        : current >= start || current < end;
+    if (!inWindow) return null;
+
+    // The window ends later today, or tomorrow when it wraps past midnight
+    const endDay = new Date(Date.UTC(local.year, local.month - 1, local.day + (end > current ? 0 : 1)));
+    return zonedTimeToDate(timeZone, endDay.getUTCFullYear(), endDay.getUTCMonth() + 1, endDay.getUTCDate(), end);
+}
+
+/**
+ * Validates a (possibly partial) preferences payload. Returns `{ error }` or
+ * `{ value }` containing only the recognised fields.
+ */
+function validatePreferences(input) {
+    if (!input || typeof input !== 'object') return { error: 'Preferences must be an object' };
+    const value = {};
+
+    if (input.pushEnabled !== undefined) {
+        if (typeof input.pushEnabled !== 'boolean') return { error: 'pushEnabled must be a boolean' };
+        value.pushEnabled = input.pushEnabled;
+    }
+
+    if (input.types !== undefined) {
+        if (!input.types || typeof input.types !== 'object') return { error: 'types must be an object' };
+        value.types = {};
+        for (const [type, mode] of Object.entries(input.types)) {
+            if (!NOTIFICATION_TYPES.includes(type)) return { error: `Unknown notification type: ${type}` };
+            if (!DELIVERY_MODES.includes(mode)) return { error: `Mode for ${type} must be one of ${DELIVERY_MODES.join(', ')}` };
+            value.types[type] = mode;
+        }
+    }
+
+    if (input.channels !== undefined) {
+        if (!input.channels || typeof input.channels !== 'object') return { error: 'channels must be an object' };
+        value.channels = {};
+        for (const [name, enabled] of Object.entries(input.channels)) {
+            const channel = getChannel(name);
+            if (!channel) return { error: `Unknown channel: ${name}` };
+            if (typeof enabled !== 'boolean') return { error: `channels.${name} must be a boolean` };
+            if (channel.required && !enabled) return { error: `The ${name} channel cannot be turned off` };
+            value.channels[name] = enabled;
+        }
+    }
+
+    if (input.quietHours !== undefined) {
+        const quietHours = input.quietHours;
+        if (!quietHours || typeof quietHours !== 'object') return { error: 'quietHours must be an object' };
+        value.quietHours = {};
+        if (quietHours.enabled !== undefined) {
+            if (typeof quietHours.enabled !== 'boolean') return { error: 'quietHours.enabled must be a boolean' };
+            value.quietHours.enabled = quietHours.enabled;
+        }
+        for (const key of ['start', 'end']) {
+            if (quietHours[key] !== undefined) {
+                if (parseTimeOfDay(quietHours[key]) === null) return { error: `quietHours.${key} must be HH:MM` };
+                value.quietHours[key] = quietHours[key];
+            }
+        }
+        if (quietHours.timeZone !== undefined) {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: quietHours.timeZone });
+            } catch {
+                return { error: 'quietHours.timeZone must be an IANA time zone' };
+            }
+            value.quietHours.timeZone = quietHours.timeZone;
+        }
+    }
+
+    if (input.reviewAlerts !== undefined) {
+        const reviewAlerts = input.reviewAlerts;
+        if (!reviewAlerts || typeof reviewAlerts !== 'object') return { error: 'reviewAlerts must be an object' };
+        value.reviewAlerts = {};
+        if (reviewAlerts.lowRatingThreshold !== undefined) {
+            const threshold = reviewAlerts.lowRatingThreshold;
+            if (!Number.isInteger(threshold) || threshold < 0 || threshold > MAX_RATING) {
+                return { error: `reviewAlerts.lowRatingThreshold must be an integer from 0 (off) to ${MAX_RATING}` };
+            }
+            value.reviewAlerts.lowRatingThreshold = threshold;
+        }
+        if (reviewAlerts.summarizePositive !== undefined) {
+            if (typeof reviewAlerts.summarizePositive !== 'boolean') return { error: 'reviewAlerts.summarizePositive must be a boolean' };
+            value.reviewAlerts.summarizePositive = reviewAlerts.summarizePositive;
+        }
+    }
+
+    if (input.digest !== undefined) {
+        const digest = input.digest;
+        if (!digest || typeof digest !== 'object') return { error: 'digest must be an object' };
+        value.digest = {};
+        if (digest.frequency !== undefined) {
+            if (!DIGEST_FREQUENCIES.includes(digest.frequency)) {
+                return { error: `digest.frequency must be one of ${DIGEST_FREQUENCIES.join(', ')}` };
+            }
+            value.digest.frequency = digest.frequency;
+        }
+        if (digest.onlyWithoutPush !== undefined) {
+            if (typeof digest.onlyWithoutPush !== 'boolean') return { error: 'digest.onlyWithoutPush must be a boolean' };
+            value.digest.onlyWithoutPush = digest.onlyWithoutPush;
+        }
+    }
+
+    return { value };
+}
+
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    DELIVERY_MODES,
+    DIGEST_FREQUENCIES,
+    preferencesRef,
+    mergePreferences,
+    getPreferences,
+    resolveDeliveryMode,
+    getQuietHoursEnd,
+    validatePreferences,
+};
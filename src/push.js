@@ -0,0 +1,118 @@
+const { sendToDevices, applyDeliveryOutcomes } = require('./devices');
+const { convertToStringValues } = require('./utils');
+
+/**
+ * PUSH: FCM payload building and delivery
+ */
+// Types that need their own Android channel / priority. `showTitle` keeps the
+// rendered title instead of the sender name as the push title.
+const PUSH_STYLES = {
+    default: { channelId: 'reviews_channel', priority: 'high' },
+    low_rating_review: { channelId: 'review_alerts_channel', priority: 'high', showTitle: true, timeSensitive: true },
+    review_summary: { channelId: 'review_summary_channel', priority: 'normal', showTitle: true },
+};
+
+function buildPushMessage(notification, badgeCount) {
+    const style = PUSH_STYLES[notification.type] || PUSH_STYLES.default;
+    const message = {
+        notification: {
+            title: (!style.showTitle && notification.senderName) || notification.title,
+            body: notification.body,
+        },
+        data: convertToStringValues({
+            type: notification.type,
+            recipientId: notification.recipientId,
+            notificationId: notification.id,
+            senderAvatar: notification.senderAvatar,
+            senderName: notification.senderName,
+            senderId: notification.senderId,
+            targetId: notification.targetId,
+            targetType: notification.targetType,
+            postId: notification.postId,
+            placeId: notification.placeId,
+            reviewId: notification.reviewId,
+            commentId: notification.commentId,
+            click_action: 'FLUTTER_NOTIFICATION_CLICK', // REQUIRED FOR DEEP LINK
+            appColor: '#1C59A4',
+            ...notification.data
+        }),
+        android: {
+            priority: style.priority,
+            notification: {
+                channelId: style.channelId,
+                color: '#1C59A4',
+                sound: 'default',
+                icon: 'ic_notification',
+                clickAction: 'FLUTTER_NOTIFICATION_CLICK',
+                notificationCount: badgeCount,
+            }
+        },
+        apns: {
+            payload: {
+                aps: {
+                    sound: 'default',
+                    badge: badgeCount,
+                    'mutable-content': 1,
+                    subtitle: notification.senderName,
+                }
+            }
+        }
+    };
+
+    // Devices replace the earlier push for the same collapse key instead of stacking
+    if (notification.collapseKey) {
+        message.android.collapseKey = notification.collapseKey;
+        message.android.notification.tag = notification.collapseKey;
+        message.apns.headers = { 'apns-collapse-id': notification.collapseKey };
+    }
+
+    if (style.priority === 'normal') {
+        message.apns.headers = { ...message.apns.headers, 'apns-priority': '5' };
+    }
+    if (style.timeSensitive) {
+        message.apns.payload.aps['interruption-level'] = 'time-sensitive';
+    }
+
+    // Topic sends go to many users at once, so there is no single badge to set
+    if (badgeCount === undefined) {
+        delete message.android.notification.notificationCount;
+        delete message.apns.payload.aps.badge;
+    }
+    return message;
+}
+
+/**
+ * Sends a built message to the user's devices and returns the delivery
+ * fields stored on the notification doc.
+ */
+async function deliverPush(recipientId, devices, message) {
+    const result = {
+        delivered: false,
+        fcmMessageId: null,
+        deliveries: [],
+        deliveredCount: 0,
+        retryable: false,
+    };
+    if (!devices.length) return result;
+
+    try {
+        result.deliveries = await sendToDevices(devices, message);
+        const successes = result.deliveries.filter(delivery => delivery.success);
+        result.delivered = successes.length > 0;
+        result.fcmMessageId = successes.length ? successes[0].messageId : null;
+        result.deliveredCount = successes.length;
+        await applyDeliveryOutcomes(recipientId, devices, result.deliveries);
+        // Only worth retrying when no device got it and at least one failure was transient
+        result.retryable = !result.delivered && result.deliveries.some(delivery => delivery.action === 'retry');
+    } catch (fcmError) {
+        console.warn(`[deliverPush] FCM failed for ${recipientId}:`, fcmError.message);
+        result.retryable = !result.delivered;
+    }
+    return result;
+}
+
+module.exports = {
+    PUSH_STYLES,
+    buildPushMessage,
+    deliverPush,
+};
@@ -0,0 +1,81 @@
+const { admin, db } = require('./firebase');
+
+/**
+ * QUEUE: Claim and poll loop shared by the Firestore-backed work queues
+ * (outbox, scheduler, webhook deliveries)
+ *
+ * Items have a `status` and a `lockedUntil`. A worker claims an item in a
+ * transaction by moving it to 'processing' with a lock; one whose lock has
+ * expired (its worker died mid-item) can be claimed again. Each poll takes
+ * the due items plus the ones with an expired lock.
+ */
+
+/**
+ * Claims the item at `ref` when `isReady(item, now)` or its lock has expired.
+ * Resolves to the item's data, or null when it is not there or someone else
+ * holds it.
+ */
+async function claimQueueItem(ref, { isReady, lockMs }) {
+    return db.runTransaction(async transaction => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) return null;
+
+        const item = doc.data();
+        const now = Date.now();
+        const lockExpired = item.status === 'processing' && (item.lockedUntil?.toMillis() || 0) <= now;
+        if (!isReady(item, now) && !lockExpired) return null;
+
+        transaction.update(ref, {
+            status: 'processing',
+            lockedUntil: admin.firestore.Timestamp.fromMillis(now + lockMs),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return item;
+    });
+}
+
+/**
+ * Runs `processItem(ref)` for up to `batchSize` items in `readyStatus` whose
+ * `dueField` has passed, oldest first, and as many with an expired lock. An
+ * item that throws is logged and does not stop the others.
+ */
+async function processDueQueueItems(collection, { readyStatus, dueField, batchSize, processItem, tag }) {
+    const now = admin.firestore.Timestamp.now();
+    const [due, stale] = await Promise.all([
+        collection.where('status', '==', readyStatus).where(dueField, '<=', now)
+            .orderBy(dueField).limit(batchSize).get(),
+        collection.where('status', '==', 'processing').where('lockedUntil', '<=', now)
+            .limit(batchSize).get(),
+    ]);
+
+    for (const doc of [...due.docs, ...stale.docs]) {
+        try {
+            await processItem(doc.ref);
+        } catch (e) {
+            console.error(`[${tag}] ${doc.id} failed:`, e.message);
+        }
+    }
+}
+
+// Calls `poll` every `intervalMs`, skipping a tick while the previous one runs; returns a function that stops it
+function startQueueWorker(poll, { intervalMs, tag }) {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await poll();
+        } catch (e) {
+            console.error(`[${tag}] Worker error:`, e.message);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    claimQueueItem,
+    processDueQueueItems,
+    startQueueWorker,
+};
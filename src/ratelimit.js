@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { admin, db } = require('./firebase');
+const { sendError } = require('./auth');
+
+/**
+ * RATE LIMIT: Fixed-window request limits for the HTTP API (RateLimits/{key}_{window}_{shard})
+ *
+ * Requests are counted per client IP and, when one is presented, per
+ * credential (Bearer token or X-API-Key header, hashed). Over the limit the
+ * API answers 429 with Retry-After. Every instance counts in memory and, at
+ * most once per RATE_LIMIT_SYNC_INTERVAL_MS per key, adds its new hits to a
+ * sharded Firestore counter and reads back the total of all instances, so
+ * serverless containers share their counts without a write per request. When
+ * Firestore is slow or down the last known total plus the local hits decide.
+ * RATE_LIMIT_STORE=memory skips Firestore, for single-instance deployments.
+ */
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_IP_PER_MINUTE = Number(process.env.RATE_LIMIT_IP_PER_MINUTE) || 300;
+const RATE_LIMIT_KEY_PER_MINUTE = Number(process.env.RATE_LIMIT_KEY_PER_MINUTE) || 120;
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'firestore';
+const RATE_LIMIT_EXEMPT_PATHS = ['/', '/health', '/ping'];
+const RATE_LIMIT_SYNC_INTERVAL_MS = 1000;
+// Instances write to different shards, so no counter doc takes more than about one write per second each
+const RATE_LIMIT_SHARDS = 10;
+// Counters get an expireAt for a Firestore TTL policy
+const RATE_LIMIT_RETENTION_MS = 5 * 60 * 1000;
+// A slow counter store must not hold requests up
+const RATE_LIMIT_STORE_TIMEOUT_MS = 2000;
+const RATE_LIMIT_WARN_INTERVAL_MS = 60 * 1000;
+
+function createMemoryStore(windowMs) {
+    const counters = new Map();
+    // Drop finished windows so the map does not grow with every client seen
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) counters.delete(key);
+        }
+    }, windowMs);
+    sweeper.unref();
+
+    return {
+        async hit(keys, now = Date.now()) {
+            return keys.map(key => {
+                let counter = counters.get(key);
+                if (!counter || counter.resetAt <= now) {
+                    counter = { count: 0, resetAt: now + windowMs };
+                    counters.set(key, counter);
+                }
+                counter.count++;
+                return { ...counter };
+            });
+        },
+    };
+}
+
+/**
+ * Per key and window, `pending` hits are not written yet, `flushing` ones are
+ * being written and `total` is the last count read from Firestore (every
+ * instance, this one's earlier hits included), so the current count is
+ * `total + flushing + pending`. Only the request that starts a sync waits for
+ * it, and for at most RATE_LIMIT_STORE_TIMEOUT_MS.
+ */
+function createFirestoreStore(windowMs) {
+    const entries = new Map();
+    const shard = crypto.randomInt(RATE_LIMIT_SHARDS);
+    let lastWarnAt = 0;
+
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const [id, entry] of entries) {
+            if (entry.resetAt <= now) entries.delete(id);
+        }
+    }, windowMs);
+    sweeper.unref();
+
+    async function sync(id, entry) {
+        const refs = Array.from({ length: RATE_LIMIT_SHARDS }, (_, i) => db.collection('RateLimits').doc(`${id}_${i}`));
+        entry.flushing = entry.pending;
+        entry.pending = 0;
+        try {
+            await refs[shard].set({
+                count: admin.firestore.FieldValue.increment(entry.flushing),
+                expireAt: admin.firestore.Timestamp.fromMillis(entry.resetAt + RATE_LIMIT_RETENTION_MS),
+            }, { merge: true });
+        } catch (e) {
+            entry.pending += entry.flushing;
+            entry.flushing = 0;
+            throw e;
+        }
+        const docs = await db.getAll(...refs);
+        entry.total = docs.reduce((sum, doc) => sum + (doc.data()?.count || 0), 0);
+        entry.flushing = 0;
+    }
+
+    return {
+        async hit(keys, now = Date.now()) {
+            const window = Math.floor(now / windowMs);
+            const resetAt = (window + 1) * windowMs;
+
+            return Promise.all(keys.map(async key => {
+                const id = `${key}_${window}`;
+                let entry = entries.get(id);
+                if (!entry) {
+                    entry = { pending: 0, flushing: 0, total: 0, resetAt: resetAt, syncedAt: 0, syncing: null };
+                    entries.set(id, entry);
+                }
+                entry.pending++;
+
+                if (!entry.syncing && now - entry.syncedAt >= RATE_LIMIT_SYNC_INTERVAL_MS) {
+                    entry.syncedAt = now;
+                    const syncing = sync(id, entry)
+                        .catch(e => {
+                            if (Date.now() - lastWarnAt < RATE_LIMIT_WARN_INTERVAL_MS) return;
+                            lastWarnAt = Date.now();
+                            console.warn('[RateLimit] Counter sync failed, counting in memory:', e.message);
+                        })
+                        .finally(() => {
+                            entry.syncing = null;
+                        });
+                    entry.syncing = syncing;
+                    let timer;
+                    await Promise.race([
+                        syncing,
+                        new Promise(resolve => {
+                            timer = setTimeout(resolve, RATE_LIMIT_STORE_TIMEOUT_MS);
+                        }),
+                    ]);
+                    clearTimeout(timer);
+                }
+                return { count: entry.total + entry.flushing + entry.pending, resetAt };
+            }));
+        },
+    };
+}
+
+function credentialKey(req) {
+    const header = req.headers.authorization || '';
+    const credential = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : req.get('x-api-key');
+    if (!credential) return null;
+    return crypto.createHash('sha256').update(credential).digest('hex');
+}
+
+/**
+ * Express middleware limiting by IP and by credential. Both limits apply;
+ * the response headers describe whichever is closer to running out.
+ */
+function rateLimit({
+    windowMs = RATE_LIMIT_WINDOW_MS,
+    ipLimit = RATE_LIMIT_IP_PER_MINUTE,
+    keyLimit = RATE_LIMIT_KEY_PER_MINUTE,
+    exemptPaths = RATE_LIMIT_EXEMPT_PATHS,
+    store = RATE_LIMIT_STORE === 'memory' ? createMemoryStore(windowMs) : createFirestoreStore(windowMs),
+} = {}) {
+    const fallback = createMemoryStore(windowMs);
+    return async (req, res, next) => {
+        if (exemptPaths.includes(req.path)) return next();
+
+        const now = Date.now();
+        const limits = [{ key: `ip_${req.ip}`, limit: ipLimit }];
+        const credential = credentialKey(req);
+        if (credential) limits.push({ key: `key_${credential}`, limit: keyLimit });
+
+        let counters;
+        try {
+            counters = await store.hit(limits.map(entry => entry.key), now);
+        } catch (e) {
+            console.warn('[RateLimit] Counter store failed, counting in memory:', e.message);
+            counters = await fallback.hit(limits.map(entry => entry.key), now);
+        }
+
+        const checks = limits.map((entry, i) => ({ counter: counters[i], limit: entry.limit }));
+        const tightest = checks.reduce((a, b) => (b.limit - b.counter.count < a.limit - a.counter.count ? b : a));
+        res.set('RateLimit-Limit', String(tightest.limit));
+        res.set('RateLimit-Remaining', String(Math.max(0, tightest.limit - tightest.counter.count)));
+        res.set('RateLimit-Reset', String(Math.ceil((tightest.counter.resetAt - now) / 1000)));
+
+        const exceeded = checks.find(check => check.counter.count > check.limit);
+        if (exceeded) {
+            res.set('Retry-After', String(Math.ceil((exceeded.counter.resetAt - now) / 1000)));
+            return sendError(res, 429, 'rate_limited', 'Too many requests, please retry later');
+        }
+        next();
+    };
+}
+
+module.exports = {
+    rateLimit,
+};
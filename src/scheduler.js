@@ -0,0 +1,225 @@
+const { admin, db } = require('./firebase');
+const { removeUndefined } = require('./utils');
+const { hasTemplate } = require('./templates');
+const { enqueueAndAttempt } = require('./outbox');
+const { claimQueueItem, processDueQueueItems, startQueueWorker } = require('./queue');
+
+/**
+ * SCHEDULER: Delayed and recurring notifications (ScheduledNotifications/{id})
+ *
+ * Due items are claimed in a transaction, sent through the outbox and then
+ * either finished or moved to their next occurrence. Each occurrence has its
+ * own event ID, so a crash between sending and rescheduling never sends twice.
+ * Recurring times are computed from the first send time (`anchorAt`) and the
+ * occurrence's position (`slot`), so a monthly schedule on the 31st lands on
+ * the last day of shorter months and returns to the 31st afterwards. An
+ * occurrence the outbox dead-letters (e.g. the recipient was deleted) is
+ * recorded in lastError and not retried.
+ */
+const SCHEDULER_POLL_INTERVAL_MS = 30 * 1000;
+const SCHEDULER_BATCH_SIZE = 50;
+// A claimed item whose worker died becomes claimable again after this
+const SCHEDULER_LOCK_MS = 2 * 60 * 1000;
+const MAX_SCHEDULE_AHEAD_MS = 366 * 24 * 60 * 60 * 1000;
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+function scheduledRef() {
+    return db.collection('ScheduledNotifications');
+}
+
+function validateRecurrence(recurrence) {
+    if (recurrence === undefined || recurrence === null) return { value: null };
+    if (typeof recurrence !== 'object' || !RECURRENCE_FREQUENCIES.includes(recurrence.frequency)) {
+        return { error: `recurrence.frequency must be one of ${RECURRENCE_FREQUENCIES.join(', ')}` };
+    }
+
+    const interval = recurrence.interval === undefined ? 1 : Number(recurrence.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+        return { error: 'recurrence.interval must be an integer between 1 and 365' };
+    }
+
+    const value = { frequency: recurrence.frequency, interval: interval, until: null, count: null };
+    if (recurrence.until !== undefined) {
+        const until = new Date(recurrence.until);
+        if (isNaN(until.getTime())) return { error: 'recurrence.until must be a valid date' };
+        value.until = admin.firestore.Timestamp.fromDate(until);
+    }
+    if (recurrence.count !== undefined) {
+        if (!Number.isInteger(recurrence.count) || recurrence.count < 1) {
+            return { error: 'recurrence.count must be a positive integer' };
+        }
+        value.count = recurrence.count;
+    }
+    return { value };
+}
+
+/**
+ * Validates a schedule request body. Returns `{ error }` or `{ value }` ready
+ * to be stored.
+ */
+function validateSchedule(input) {
+    const { toUserId, type, title, body, variables, data, sendAt, recurrence } = input || {};
+    const templated = hasTemplate(type);
+
+    if (!toUserId || !type || !sendAt || (!templated && (!title || !body))) {
+        return { error: 'Missing required fields' };
+    }
+
+    const sendAtDate = new Date(sendAt);
+    if (isNaN(sendAtDate.getTime())) return { error: 'sendAt must be a valid date' };
+    if (sendAtDate.getTime() > Date.now() + MAX_SCHEDULE_AHEAD_MS) {
+        return { error: 'sendAt must be within a year' };
+    }
+
+    const { value: parsedRecurrence, error } = validateRecurrence(recurrence);
+    if (error) return { error };
+
+    return {
+        value: {
+            toUserId: toUserId,
+            type: type,
+            title: templated ? null : title,
+            body: templated ? null : body,
+            variables: templated ? removeUndefined(variables) : null,
+            data: removeUndefined(data),
+            sendAt: admin.firestore.Timestamp.fromDate(sendAtDate),
+            recurrence: parsedRecurrence,
+        }
+    };
+}
+
+async function scheduleNotification(schedule, createdBy) {
+    const ref = scheduledRef().doc();
+    await ref.set({
+        ...schedule,
+        id: ref.id,
+        status: 'scheduled',
+        anchorAt: schedule.sendAt,
+        slot: 0,
+        occurrence: 0,
+        lockedUntil: null,
+        lastSentAt: null,
+        lastError: null,
+        createdBy: createdBy,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return ref;
+}
+
+// Months are capped at their last day (Jan 31 + 1 month = Feb 28/29)
+function addRecurrence(date, recurrence, steps) {
+    const next = new Date(date.getTime());
+    if (recurrence.frequency === 'daily') next.setUTCDate(next.getUTCDate() + recurrence.interval * steps);
+    if (recurrence.frequency === 'weekly') next.setUTCDate(next.getUTCDate() + 7 * recurrence.interval * steps);
+    if (recurrence.frequency === 'monthly') {
+        const month = date.getUTCMonth() + recurrence.interval * steps;
+        const lastDay = new Date(Date.UTC(date.getUTCFullYear(), month + 1, 0)).getUTCDate();
+        next.setUTCDate(1);
+        next.setUTCMonth(month);
+        next.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+    }
+    return next;
+}
+
+/**
+ * Returns `{ sendAt, slot }` for the first occurrence after `now`, or null
+ * when the recurrence is exhausted. Occurrences missed while no worker was
+ * running are skipped rather than sent one after another.
+ */
+function nextOccurrence(anchorAt, slot, recurrence, occurrence, now = Date.now()) {
+    if (!recurrence) return null;
+    if (recurrence.count && occurrence >= recurrence.count) return null;
+
+    const anchor = anchorAt.toDate();
+    let nextSlot = slot + 1;
+    let next = addRecurrence(anchor, recurrence, nextSlot);
+    while (next.getTime() <= now) {
+        next = addRecurrence(anchor, recurrence, ++nextSlot);
+    }
+
+    if (recurrence.until && next.getTime() > recurrence.until.toMillis()) return null;
+    return { sendAt: admin.firestore.Timestamp.fromDate(next), slot: nextSlot };
+}
+
+async function cancelScheduledNotification(ref, cancelledBy) {
+    return db.runTransaction(async transaction => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) return { error: 'not_found' };
+        const { status } = doc.data();
+        if (status !== 'scheduled') return { error: 'not_cancellable', status };
+
+        transaction.update(ref, {
+            status: 'cancelled',
+            cancelledBy: cancelledBy,
+            cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return { status: 'cancelled' };
+    });
+}
+
+async function processScheduledNotification(ref) {
+    const item = await claimQueueItem(ref, {
+        isReady: (scheduled, now) => scheduled.status === 'scheduled' && scheduled.sendAt.toMillis() <= now,
+        lockMs: SCHEDULER_LOCK_MS,
+    });
+    if (!item) return;
+
+    const occurrence = item.occurrence + 1;
+    const options = {
+        eventId: `scheduled_${ref.id}_${occurrence}`,
+        ...(item.variables ? { variables: item.variables } : {}),
+    };
+    const data = { ...item.data, scheduledId: ref.id };
+    const result = await enqueueAndAttempt(item.toUserId, item.title, item.body, item.type, data, options);
+
+    if (!result.queued) {
+        // Could not even reach the outbox; release the claim and try again next poll
+        await ref.update({
+            status: 'scheduled',
+            lockedUntil: null,
+            lastError: 'Failed to enqueue notification',
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return;
+    }
+
+    // Items created before anchoring start from their current send time
+    const next = nextOccurrence(item.anchorAt || item.sendAt, item.anchorAt ? item.slot || 0 : 0, item.recurrence, occurrence);
+    if (result.dead) console.warn(`[Scheduler] ${ref.id} occurrence ${occurrence} dead-lettered: ${result.error}`);
+    await ref.update({
+        status: next ? 'scheduled' : (result.dead ? 'failed' : 'sent'),
+        occurrence: occurrence,
+        sendAt: next ? next.sendAt : item.sendAt,
+        anchorAt: item.anchorAt || item.sendAt,
+        slot: next ? next.slot : (item.anchorAt ? item.slot || 0 : 0),
+        lockedUntil: null,
+        lastError: result.dead ? result.error : null,
+        lastSentAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+}
+
+async function processDueScheduledNotifications() {
+    return processDueQueueItems(scheduledRef(), {
+        readyStatus: 'scheduled',
+        dueField: 'sendAt',
+        batchSize: SCHEDULER_BATCH_SIZE,
+        processItem: processScheduledNotification,
+        tag: 'Scheduler',
+    });
+}
+
+// Returns a function that stops the loop
+function startScheduler() {
+    return startQueueWorker(processDueScheduledNotifications, { intervalMs: SCHEDULER_POLL_INTERVAL_MS, tag: 'Scheduler' });
+}
+
+module.exports = {
+    scheduledRef,
+    validateSchedule,
+    scheduleNotification,
+    cancelScheduledNotification,
+    startScheduler,
+};
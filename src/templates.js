@@ -0,0 +1,206 @@
+/**
+ * TEMPLATES: Localized titles and bodies per notification type
+ *
+ * Messages use `{name}` placeholders. A message may also be a plural object:
+ * `count` names the numeric variable, `=N` keys match exactly and the other
+ * keys are Intl.PluralRules categories (zero, one, two, few, many, other).
+ */
+const DEFAULT_LOCALE = 'en';
+
+// Names and quoted user text are wrapped in Unicode isolates so an Arabic name
+// inside an English sentence (or the reverse) cannot reorder the text around it
+const NAME_VARIABLES = ['senderName', 'otherName', 'placeName', 'snippet'];
+const FIRST_STRONG_ISOLATE = '\u2068';
+const POP_DIRECTIONAL_ISOLATE = '\u2069';
+
+const STRINGS = {
+    en: {
+        someone: 'Someone',
+        somePlace: 'a place',
+        noComment: 'No comment',
+        // `{target}` in templates; already includes the possessive
+        targets: {
+            review: 'your review',
+            post: 'your post',
+            place: 'your place',
+            comment: 'your comment',
+            default: 'your content',
+        },
+        // `{mentionIn}` in templates
+        mentionIn: {
+            review: 'a review',
+            post: 'a post',
+            comment: 'a comment',
+            default: 'a post',
+        },
+    },
+    ar: {
+        someone: 'شخص ما',
+        somePlace: 'مكانًا',
+        noComment: 'بدون تعليق',
+        targets: {
+            review: 'تقييمك',
+            post: 'منشورك',
+            place: 'مكانك',
+            comment: 'تعليقك',
+            default: 'محتواك',
+        },
+        mentionIn: {
+            review: 'تقييم',
+            post: 'منشور',
+            comment: 'تعليق',
+            default: 'منشور',
+        },
+    },
+};
+
+// Shared by review_liked and post_liked (rolled-up likes, see listeners)
+const LIKE_BODIES = {
+    en: {
+        count: 'othersCount',
+        '=0': '{senderName} liked {target}',
+        '=1': '{senderName} and {otherName} liked {target}',
+        other: '{senderName} and {othersCount} others liked {target}',
+    },
+    ar: {
+        count: 'othersCount',
+        '=0': 'أعجب {senderName} ب{target}',
+        '=1': 'أعجب {senderName} و{otherName} ب{target}',
+        two: 'أعجب {senderName} وشخصان آخران ب{target}',
+        few: 'أعجب {senderName} و{othersCount} أشخاص آخرين ب{target}',
+        many: 'أعجب {senderName} و{othersCount} شخصًا آخر ب{target}',
+        other: 'أعجب {senderName} و{othersCount} شخص آخر ب{target}',
+    },
+};
+
+// Positive reviews rolled into one summary per place (see listeners)
+const REVIEW_SUMMARY_BODIES = {
+    en: {
+        count: 'othersCount',
+        '=0': '{senderName} reviewed {placeName}',
+        '=1': '{senderName} and {otherName} reviewed {placeName}',
+        other: '{senderName} and {othersCount} others reviewed {placeName}',
+    },
+    ar: {
+        count: 'othersCount',
+        '=0': 'قام {senderName} بتقييم {placeName}',
+        '=1': 'قام {senderName} و{otherName} بتقييم {placeName}',
+        two: 'قام {senderName} وشخصان آخران بتقييم {placeName}',
+        few: 'قام {senderName} و{othersCount} أشخاص آخرين بتقييم {placeName}',
+        many: 'قام {senderName} و{othersCount} شخصًا آخر بتقييم {placeName}',
+        other: 'قام {senderName} و{othersCount} شخص آخر بتقييم {placeName}',
+    },
+};
+
+const TEMPLATES = {
+    new_review: {
+        en: { title: 'New Review', body: '{senderName} reviewed your place' },
+        ar: { title: 'تقييم جديد', body: 'قام {senderName} بتقييم مكانك' },
+    },
+    low_rating_review: {
+        en: { title: '{rating}★ review of {placeName}', body: '{senderName}: {snippet}' },
+        ar: { title: 'تقييم {rating}★ على {placeName}', body: '{senderName}: {snippet}' },
+    },
+    review_summary: {
+        en: { title: 'New Reviews', body: REVIEW_SUMMARY_BODIES.en },
+        ar: { title: 'تقييمات جديدة', body: REVIEW_SUMMARY_BODIES.ar },
+    },
+    new_comment: {
+        en: { title: 'New Comment', body: '{senderName} commented on {target}' },
+        ar: { title: 'تعليق جديد', body: 'علّق {senderName} على {target}' },
+    },
+    comment_replied: {
+        en: { title: 'New Reply', body: '{senderName} replied to you' },
+        ar: { title: 'رد جديد', body: 'ردّ {senderName} عليك' },
+    },
+    review_liked: {
+        en: { title: 'New Like', body: LIKE_BODIES.en },
+        ar: { title: 'إعجاب جديد', body: LIKE_BODIES.ar },
+    },
+    post_liked: {
+        en: { title: 'New Like', body: LIKE_BODIES.en },
+        ar: { title: 'إعجاب جديد', body: LIKE_BODIES.ar },
+    },
+    new_follower: {
+        en: { title: 'New Follower', body: '{senderName} started following you' },
+        ar: { title: 'متابع جديد', body: 'بدأ {senderName} بمتابعتك' },
+    },
+    mentioned: {
+        en: { title: 'New Mention', body: '{senderName} mentioned you in {mentionIn}' },
+        ar: { title: 'إشارة جديدة', body: 'أشار إليك {senderName} في {mentionIn}' },
+    },
+    // Sent to topic followers of a place (see topics)
+    place_review: {
+        en: { title: 'New Review', body: '{senderName} reviewed {placeName}' },
+        ar: { title: 'تقييم جديد', body: 'قام {senderName} بتقييم {placeName}' },
+    },
+    // Sent to the author's followers (see fanout)
+    new_post: {
+        en: { title: 'New Post', body: '{senderName} shared a new post' },
+        ar: { title: 'منشور جديد', body: 'نشر {senderName} منشورًا جديدًا' },
+    },
+};
+
+const LOCALES = Object.keys(STRINGS);
+
+// 'ar-SA' / 'ar_EG' / 'AR' → 'ar'; unknown languages fall back to English
+function resolveLocale(language) {
+    const base = String(language || '').toLowerCase().split(/[-_]/)[0];
+    return STRINGS[base] ? base : DEFAULT_LOCALE;
+}
+
+function hasTemplate(type) {
+    return !!TEMPLATES[type];
+}
+
+function selectPluralForm(message, locale, count) {
+    const n = Number(count) || 0;
+    return message[`=${n}`] ?? message[new Intl.PluralRules(locale).select(n)] ?? message.other;
+}
+
+function formatMessage(message, locale, values) {
+    const text = typeof message === 'string' ? message : selectPluralForm(message, locale, values[message.count]);
+
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = values[name];
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'number') return new Intl.NumberFormat(locale).format(value);
+        if (NAME_VARIABLES.includes(name)) return `${FIRST_STRONG_ISOLATE}${value}${POP_DIRECTIONAL_ISOLATE}`;
+        return String(value);
+    });
+}
+
+/**
+ * Renders `{ title, body, locale }` for a notification type in the given
+ * locale (English fallback). Returns null when the type has no template.
+ */
+function renderTemplate(type, locale, variables = {}) {
+    const templates = TEMPLATES[type];
+    if (!templates) return null;
+
+    const resolved = templates[locale] ? locale : DEFAULT_LOCALE;
+    const strings = STRINGS[resolved];
+    const values = {
+        ...variables,
+        senderName: variables.senderName || strings.someone,
+        otherName: variables.otherName || strings.someone,
+        placeName: variables.placeName || strings.somePlace,
+        snippet: variables.snippet || strings.noComment,
+        target: strings.targets[variables.targetType] || strings.targets.default,
+        mentionIn: strings.mentionIn[variables.mentionIn] || strings.mentionIn.default,
+    };
+
+    return {
+        title: formatMessage(templates[resolved].title, resolved, values),
+        body: formatMessage(templates[resolved].body, resolved, values),
+        locale: resolved,
+    };
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LOCALES,
+    resolveLocale,
+    hasTemplate,
+    renderTemplate,
+};
@@ -0,0 +1,54 @@
+const { admin, db } = require('./firebase');
+
+/**
+ * THROTTLE: Anti-spam caps on pushes (NotificationThrottles/{key})
+ *
+ * Hourly counters per (sender, recipient, type) and per recipient. Once a cap
+ * is reached, further notifications in that hour are still stored in the
+ * inbox but not pushed. A limit of 0 turns that cap off.
+ */
+const THROTTLE_WINDOW_MS = 60 * 60 * 1000;
+const THROTTLE_PAIR_PER_HOUR = Number(process.env.THROTTLE_PAIR_PER_HOUR ?? 5);
+const THROTTLE_RECIPIENT_PER_HOUR = Number(process.env.THROTTLE_RECIPIENT_PER_HOUR ?? 30);
+// Counters get an expireAt for a Firestore TTL policy
+const THROTTLE_RETENTION_MS = 2 * THROTTLE_WINDOW_MS;
+
+function throttlesRef() {
+    return db.collection('NotificationThrottles');
+}
+
+/**
+ * Counts one push against the caps and returns `{ allowed, reason }`.
+ * Nothing is counted when the push is refused.
+ */
+async function checkNotificationThrottle({ recipientId, senderId, type }, now = Date.now()) {
+    const bucket = Math.floor(now / THROTTLE_WINDOW_MS);
+    const counters = [];
+    if (THROTTLE_PAIR_PER_HOUR > 0 && senderId) {
+        counters.push({ reason: 'sender', limit: THROTTLE_PAIR_PER_HOUR, ref: throttlesRef().doc(`pair_${recipientId}_${senderId}_${type}_${bucket}`) });
+    }
+    if (THROTTLE_RECIPIENT_PER_HOUR > 0) {
+        counters.push({ reason: 'recipient', limit: THROTTLE_RECIPIENT_PER_HOUR, ref: throttlesRef().doc(`recipient_${recipientId}_${bucket}`) });
+    }
+    if (!counters.length) return { allowed: true };
+
+    return db.runTransaction(async transaction => {
+        const docs = await transaction.getAll(...counters.map(counter => counter.ref));
+        for (let i = 0; i < counters.length; i++) {
+            if ((docs[i].data()?.count || 0) >= counters[i].limit) {
+                return { allowed: false, reason: counters[i].reason };
+            }
+        }
+
+        const expireAt = admin.firestore.Timestamp.fromMillis((bucket + 1) * THROTTLE_WINDOW_MS + THROTTLE_RETENTION_MS);
+        counters.forEach(counter => transaction.set(counter.ref, {
+            count: admin.firestore.FieldValue.increment(1),
+            expireAt: expireAt,
+        }, { merge: true }));
+        return { allowed: true };
+    });
+}
+
+module.exports = {
+    checkNotificationThrottle,
+};
@@ -0,0 +1,383 @@
+const { admin, db } = require('./firebase');
+const { GRPC_ALREADY_EXISTS, chunk, removeUndefined } = require('./utils');
+const { devicesRef } = require('./devices');
+const { buildPushMessage } = require('./push');
+const { LOCALES, resolveLocale, renderTemplate } = require('./templates');
+const { preferencesRef, mergePreferences, resolveDeliveryMode, getQuietHoursEnd } = require('./preferences');
+const { selectChannels, deliverToChannels } = require('./channels');
+const { buildNotificationDoc } = require('./notifications');
+
+/**
+ * TOPICS: Follow a place or user through FCM topic subscriptions
+ *
+ * Subscriptions live in Users/{id}/TopicSubscriptions/{topic}. For places,
+ * each device is subscribed to the variant of the topic for its own locale
+ * (`place_X__ar`), so a single topic send per locale still reaches everyone
+ * in their language. A `user_X` subscription is only the opt-in to push for
+ * that user's posts, which the fan-out sends per follower (see fanout.js);
+ * devices are not put on `user_X` topics. A place send also queues a
+ * TopicDeliveries/{id} job that runs the subscribers' other channels from the
+ * worker.
+ */
+const TOPIC_TARGET_TYPES = ['place', 'user'];
+const FCM_TOPIC_TARGET_TYPES = ['place'];
+const FCM_TOPIC_BATCH_LIMIT = 1000;
+const TOPIC_MIGRATION_PAGE_SIZE = 100;
+const TOPIC_SUBSCRIBER_PAGE_SIZE = 100;
+const TOPIC_DELIVERY_POLL_INTERVAL_MS = 5 * 1000;
+const TOPIC_MAX_ACTIVE_JOBS = 10;
+// Reached through the topic itself (fcm) or not applicable without an inbox entry
+const TOPIC_SKIPPED_CHANNELS = ['in_app', 'fcm'];
+
+function topicSubscriptionsRef(userId) {
+    return db.collection('Users').doc(userId).collection('TopicSubscriptions');
+}
+
+function topicDeliveriesRef() {
+    return db.collection('TopicDeliveries');
+}
+
+// FCM topic names only allow [a-zA-Z0-9-_.~%]
+function topicFor(targetType, targetId) {
+    return `${targetType}_${String(targetId).replace(/[^a-zA-Z0-9\-_.~]/g, '')}`;
+}
+
+function localizedTopic(topic, locale) {
+    return `${topic}__${locale}`;
+}
+
+// Groups the user's registered tokens by the topic locale each one uses
+async function getTokensByLocale(userId) {
+    const snapshot = await devicesRef(userId).where('active', '==', true).get();
+    const tokensByLocale = {};
+    snapshot.docs.forEach(doc => {
+        const device = doc.data();
+        const locale = resolveLocale(device.locale);
+        (tokensByLocale[locale] = tokensByLocale[locale] || []).push(device.token);
+    });
+    return tokensByLocale;
+}
+
+async function updateTopicMembership(tokens, topic, subscribe) {
+    for (const batch of chunk(tokens, FCM_TOPIC_BATCH_LIMIT)) {
+        const response = subscribe
+            ? await admin.messaging().subscribeToTopic(batch, topic)
+            : await admin.messaging().unsubscribeFromTopic(batch, topic);
+        if (response.failureCount > 0) {
+            console.warn(`[Topics] ${response.failureCount} token(s) failed to ${subscribe ? 'join' : 'leave'} ${topic}`);
+        }
+    }
+}
+
+async function subscribeUserToTopic(userId, targetType, targetId) {
+    const topic = topicFor(targetType, targetId);
+    if (FCM_TOPIC_TARGET_TYPES.includes(targetType)) {
+        const tokensByLocale = await getTokensByLocale(userId);
+        for (const [locale, tokens] of Object.entries(tokensByLocale)) {
+            await updateTopicMembership(tokens, localizedTopic(topic, locale), true);
+        }
+    }
+
+    await topicSubscriptionsRef(userId).doc(topic).set({
+        topic: topic,
+        targetType: targetType,
+        targetId: targetId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return topic;
+}
+
+// Also leaves `user_X` topics, which devices subscribed before the fan-out may still be on
+async function unsubscribeUserFromTopic(userId, targetType, targetId) {
+    const topic = topicFor(targetType, targetId);
+    const tokensByLocale = await getTokensByLocale(userId);
+    for (const [locale, tokens] of Object.entries(tokensByLocale)) {
+        await updateTopicMembership(tokens, localizedTopic(topic, locale), false);
+    }
+
+    await topicSubscriptionsRef(userId).doc(topic).delete();
+    return topic;
+}
+
+/**
+ * Brings one device in line with the user's topic subscriptions: called when
+ * a token is registered (or its locale changes) and when it is unregistered.
+ */
+async function syncDeviceTopics(userId, token, { locale, previousLocale, subscribe = true }) {
+    const snapshot = await topicSubscriptionsRef(userId).get();
+    const newLocale = resolveLocale(locale);
+    const oldLocale = previousLocale === undefined ? null : resolveLocale(previousLocale);
+
+    for (const doc of snapshot.docs) {
+        const { topic, targetType } = doc.data();
+        if (!subscribe) {
+            await updateTopicMembership([token], localizedTopic(topic, newLocale), false);
+            continue;
+        }
+        if (!FCM_TOPIC_TARGET_TYPES.includes(targetType)) continue;
+        if (oldLocale && oldLocale !== newLocale) {
+            await updateTopicMembership([token], localizedTopic(topic, oldLocale), false);
+        }
+        await updateTopicMembership([token], localizedTopic(topic, newLocale), true);
+    }
+}
+
+// Returns null if a job for this event already exists (listener replays)
+async function enqueueTopicDelivery(topic, type, variables, data, eventId) {
+    const ref = topicDeliveriesRef().doc(`${topic}_${type}_${eventId}`);
+    try {
+        await ref.create({
+            topic: topic,
+            type: type,
+            variables: removeUndefined(variables),
+            data: removeUndefined(data),
+            eventId: eventId,
+            status: 'queued',
+            cursor: null,
+            progress: {
+                processedSubscribers: 0,
+                deliveredCount: 0,
+            },
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+    } catch (e) {
+        if (e.code === GRPC_ALREADY_EXISTS) return null;
+        throw e;
+    }
+    return ref;
+}
+
+/**
+ * Runs the other external channels (web push, email, webhook...) for the next
+ * page of subscribers of the job's topic after `cursor`. Unlike the FCM topic
+ * send this honours preferences: subscribers who turned the type's push off,
+ * or are in quiet hours, are skipped (there is no inbox entry to deliver
+ * later), as is the sender.
+ */
+async function deliverTopicPage(job, cursor) {
+    const { topic, type, variables, data, eventId } = job;
+    let query = db.collectionGroup('TopicSubscriptions')
+        .where('topic', '==', topic)
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(TOPIC_SUBSCRIBER_PAGE_SIZE);
+    if (cursor) query = query.startAfter(cursor);
+    const snapshot = await query.get();
+    const nextCursor = snapshot.size === TOPIC_SUBSCRIBER_PAGE_SIZE ? snapshot.docs[snapshot.size - 1].ref.path : null;
+    const counts = { processedSubscribers: snapshot.size, deliveredCount: 0 };
+
+    // Subscriptions live at Users/{id}/TopicSubscriptions/{topic}
+    const userIds = snapshot.docs.map(doc => doc.ref.parent.parent.id).filter(id => id !== data.senderId);
+    if (!userIds.length) return { counts, nextCursor };
+    const [userDocs, preferenceDocs] = await Promise.all([
+        db.getAll(...userIds.map(id => db.collection('Users').doc(id))),
+        db.getAll(...userIds.map(id => preferencesRef(id))),
+    ]);
+
+    for (let i = 0; i < userIds.length; i++) {
+        const preferences = mergePreferences(preferenceDocs[i].exists ? preferenceDocs[i].data() : {});
+        if (!userDocs[i].exists || resolveDeliveryMode(preferences, type) !== 'push' || getQuietHoursEnd(preferences.quietHours)) {
+            continue;
+        }
+        const names = selectChannels(preferences).filter(name => !TOPIC_SKIPPED_CHANNELS.includes(name));
+        if (!names.length) continue;
+
+        const userData = userDocs[i].data();
+        const rendered = renderTemplate(type, resolveLocale(userData.language), variables);
+        await deliverToChannels(names, {
+            recipientId: userIds[i],
+            userData: userData,
+            notification: buildNotificationDoc({
+                id: `${type}_${eventId}`,
+                recipientId: userIds[i],
+                title: rendered.title,
+                body: rendered.body,
+                type: type,
+                data: data,
+                extraData: { topic: topic },
+                locale: rendered.locale,
+            }),
+        });
+        counts.deliveredCount++;
+    }
+    return { counts, nextCursor };
+}
+
+// Runs one page of a job; returns false once the job is finished
+async function runTopicDeliveryPage(doc) {
+    const job = doc.data();
+    const FieldValue = admin.firestore.FieldValue;
+    const { counts, nextCursor } = await deliverTopicPage(job, job.cursor);
+
+    await doc.ref.update({
+        status: nextCursor ? 'running' : 'completed',
+        cursor: nextCursor,
+        'progress.processedSubscribers': FieldValue.increment(counts.processedSubscribers),
+        'progress.deliveredCount': FieldValue.increment(counts.deliveredCount),
+        updatedAt: FieldValue.serverTimestamp(),
+        ...(nextCursor ? {} : { completedAt: FieldValue.serverTimestamp() }),
+    });
+
+    if (!nextCursor) {
+        const delivered = (job.progress?.deliveredCount || 0) + counts.deliveredCount;
+        console.log(`📣 [Topics] ${job.type} delivered to ${delivered} ${job.topic} subscriber(s) on other channels`);
+    }
+    return !!nextCursor;
+}
+
+// Gives each active job one page per round, so a place with many followers does not hold up the others
+async function processTopicDeliveries(isStopped) {
+    const snapshot = await topicDeliveriesRef().where('status', 'in', ['queued', 'running']).orderBy('createdAt').limit(TOPIC_MAX_ACTIVE_JOBS).get();
+    let active = snapshot.docs;
+
+    while (active.length && !isStopped()) {
+        const remaining = [];
+        for (const doc of active) {
+            if (isStopped()) return;
+            try {
+                if (await runTopicDeliveryPage(doc)) remaining.push(doc.ref);
+            } catch (e) {
+                console.error(`[Topics] Channel delivery ${doc.id} failed:`, e.message);
+                await doc.ref.update({
+                    status: 'failed',
+                    lastError: e.message,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+            }
+        }
+        // Re-read for the updated cursors
+        active = remaining.length ? (await db.getAll(...remaining)).filter(doc => doc.exists) : [];
+    }
+}
+
+// Returns a function that stops the worker
+function startTopicDeliveryWorker() {
+    let running = false;
+    let stopped = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processTopicDeliveries(() => stopped);
+        } catch (e) {
+            console.error('[Topics] Channel delivery worker error:', e.message);
+        } finally {
+            running = false;
+        }
+    }, TOPIC_DELIVERY_POLL_INTERVAL_MS);
+    return () => {
+        stopped = true;
+        clearInterval(timer);
+    };
+}
+
+/**
+ * Pushes one templated notification to everyone following a place: one FCM
+ * send per locale topic, then queues a job for the subscribers' other
+ * channels, which the worker runs page by page (see deliverTopicPage).
+ * Topic sends are push-only: no inbox entries, and
+ * on FCM the sender receives it too if they follow the target (clients filter
+ * on senderId). `eventId` identifies the source event for receivers.
+ */
+async function sendTopicNotification(targetType, targetId, type, variables = {}, data = {}, eventId = '') {
+    const topic = topicFor(targetType, targetId);
+    let sent = 0;
+
+    for (const locale of LOCALES) {
+        const rendered = renderTemplate(type, locale, variables);
+        if (!rendered) throw new Error(`No template for type ${type}`);
+
+        const message = buildPushMessage(buildNotificationDoc({
+            id: '',
+            recipientId: '',
+            title: rendered.title,
+            body: rendered.body,
+            type: type,
+            data: data,
+            extraData: { topic: topic },
+            locale: locale,
+        }));
+
+        try {
+            await admin.messaging().send({ ...message, topic: localizedTopic(topic, locale) });
+            sent++;
+        } catch (e) {
+            console.warn(`[Topics] Send to ${localizedTopic(topic, locale)} failed:`, e.message);
+        }
+    }
+
+    console.log(`📣 [Topics] ${type} sent to ${topic} (${sent}/${LOCALES.length} locales)`);
+
+    try {
+        await enqueueTopicDelivery(topic, type, variables, data, eventId || targetId);
+    } catch (e) {
+        console.warn(`[Topics] Queueing channel delivery for ${topic} failed:`, e.message);
+    }
+    return sent > 0;
+}
+
+/**
+ * One-off cleanup: takes every device off the `user_X` topics it joined
+ * before those subscriptions became fan-out opt-ins. Walks the `user`
+ * subscriptions page by page with a cursor in
+ * ListenerState/migration__user_topics, so a restarted worker resumes and a
+ * finished migration is not run again.
+ */
+async function migrateUserTopicMemberships(isStopped) {
+    const stateRef = db.collection('ListenerState').doc('migration__user_topics');
+    const state = (await stateRef.get()).data() || {};
+    if (state.completedAt) return;
+
+    let cursor = state.cursor || null;
+    let migrated = 0;
+    while (!isStopped()) {
+        let query = db.collectionGroup('TopicSubscriptions')
+            .where('targetType', '==', 'user')
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(TOPIC_MIGRATION_PAGE_SIZE);
+        if (cursor) query = query.startAfter(cursor);
+        const snapshot = await query.get();
+
+        for (const doc of snapshot.docs) {
+            // Subscriptions live at Users/{id}/TopicSubscriptions/{topic}
+            const tokens = Object.values(await getTokensByLocale(doc.ref.parent.parent.id)).flat();
+            if (!tokens.length) continue;
+            // Devices may have changed locale since they joined, so leave every variant
+            for (const locale of LOCALES) {
+                await updateTopicMembership(tokens, localizedTopic(doc.data().topic, locale), false);
+            }
+            migrated++;
+        }
+
+        if (snapshot.size < TOPIC_MIGRATION_PAGE_SIZE) {
+            await stateRef.set({ cursor: null, completedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+            console.log(`🧹 [Topics] user_X topic migration done (${migrated} subscription(s) this run)`);
+            return;
+        }
+        cursor = snapshot.docs[snapshot.docs.length - 1].ref.path;
+        await stateRef.set({ cursor: cursor }, { merge: true });
+    }
+}
+
+// Runs the migration once in the background; returns a function that stops it
+function startUserTopicMigration() {
+    let stopped = false;
+    migrateUserTopicMemberships(() => stopped).catch(e => {
+        console.error('[Topics] user_X topic migration failed:', e.message);
+    });
+    return () => {
+        stopped = true;
+    };
+}
+
+module.exports = {
+    TOPIC_TARGET_TYPES,
+    topicSubscriptionsRef,
+    topicFor,
+    subscribeUserToTopic,
+    unsubscribeUserFromTopic,
+    syncDeviceTopics,
+    sendTopicNotification,
+    startTopicDeliveryWorker,
+    startUserTopicMigration,
+};
@@ -0,0 +1,69 @@
+/**
+ * UTILS: Ensuring all payload values are strings for FCM compatibility
+ */
+function convertToStringValues(obj) {
+    const result = {};
+    for (const [key, value] of Object.entries(obj)) {
+        if (value === null || value === undefined) {
+            result[key] = '';
+        } else if (typeof value === 'object') {
+            try {
+                result[key] = JSON.stringify(value);
+            } catch {
+                result[key] = String(value);
+            }
+        } else if (typeof value === 'boolean') {
+            result[key] = value ? 'true' : 'false';
+        } else if (typeof value === 'number') {
+            result[key] = value.toString();
+        } else {
+            result[key] = String(value);
+        }
+    }
+    return result;
+}
+
+function removeUndefined(obj) {
+    if (!obj || typeof obj !== 'object') return {};
+    return Object.fromEntries(
+        Object.entries(obj).filter(([_, v]) => v !== undefined && v !== null)
+    );
+}
+
+
+const FIRESTORE_BATCH_LIMIT = 500;
+// gRPC status Firestore reports when create() finds the doc already there
+const GRPC_ALREADY_EXISTS = 6;
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    })[char]);
+}
+
+// Rejects with `message` if `promise` has not settled within `ms`
+function withTimeout(promise, ms, message) {
+    let timer;
+    const deadline = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+    FIRESTORE_BATCH_LIMIT,
+    GRPC_ALREADY_EXISTS,
+    convertToStringValues,
+    removeUndefined,
+    chunk,
+    escapeHtml,
+    withTimeout,
+};
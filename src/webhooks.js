@@ -0,0 +1,391 @@
+const crypto = require('crypto');
+const { admin, db } = require('./firebase');
+const { GRPC_ALREADY_EXISTS } = require('./utils');
+const { isPrivateHostname, postToPublicUrl } = require('./egress');
+const { claimQueueItem, processDueQueueItems, startQueueWorker } = require('./queue');
+
+/**
+ * WEBHOOKS: Signed event POSTs to place owners' systems
+ *
+ * Endpoints live in Webhooks/{id} (one place, a set of event types). Every
+ * event becomes a WebhookDeliveries/{webhookId}_{eventId} doc, which is both
+ * the retry queue and the delivery log. Requests carry
+ *   X-Webhook-Timestamp: unix seconds
+ *   X-Webhook-Signature: sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) as hex
+ * so receivers can check authenticity and reject replays. An endpoint is
+ * disabled after WEBHOOK_DISABLE_AFTER consecutive failed attempts. Requests
+ * only go to public addresses (see egress.js) and only the response status
+ * is recorded.
+ *
+ * Users can also register one endpoint of their own
+ * (Users/{id}/Settings/webhook), used by the `webhook` delivery channel: each
+ * notification is POSTed there as a `notification.created` event, signed the
+ * same way. Retries go through the outbox like any other channel.
+ */
+const WEBHOOK_EVENTS = ['review.created', 'review.liked', 'comment.created'];
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_BASE_DELAY_MS = 30 * 1000;
+const WEBHOOK_MAX_DELAY_MS = 60 * 60 * 1000;
+const WEBHOOK_DISABLE_AFTER = Number(process.env.WEBHOOK_DISABLE_AFTER) || 20;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_LOCK_MS = 2 * 60 * 1000;
+const WEBHOOK_POLL_INTERVAL_MS = 15 * 1000;
+const WEBHOOK_BATCH_SIZE = 50;
+const MAX_WEBHOOKS_PER_PLACE = 10;
+// Delivery log entries get an expireAt for a Firestore TTL policy
+const WEBHOOK_LOG_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+function webhooksRef() {
+    return db.collection('Webhooks');
+}
+
+function webhookDeliveriesRef() {
+    return db.collection('WebhookDeliveries');
+}
+
+function userWebhookRef(userId) {
+    return db.collection('Users').doc(userId).collection('Settings').doc('webhook');
+}
+
+function getBackoffDelay(attempts) {
+    return Math.min(WEBHOOK_BASE_DELAY_MS * 2 ** (attempts - 1), WEBHOOK_MAX_DELAY_MS);
+}
+
+// Returns `{ error }` or `{ value }` (the normalized URL)
+function validateWebhookUrl(input) {
+    let url;
+    try {
+        url = new URL(input);
+    } catch {
+        return { error: 'url must be a valid URL' };
+    }
+    if (url.protocol !== 'https:') return { error: 'url must use https' };
+    if (isPrivateHostname(url.hostname)) return { error: 'url must point to a public host' };
+    return { value: url.toString() };
+}
+
+/**
+ * Validates a webhook definition; `partial` allows updates that omit fields.
+ * Returns `{ error }` or `{ value }`.
+ */
+function validateWebhook(input, { partial = false } = {}) {
+    if (!input || typeof input !== 'object') return { error: 'Webhook must be an object' };
+    const value = {};
+
+    if (input.url !== undefined || !partial) {
+        const url = validateWebhookUrl(input.url);
+        if (url.error) return url;
+        value.url = url.value;
+    }
+
+    if (input.events !== undefined || !partial) {
+        const events = [...new Set(input.events || [])];
+        if (!events.length || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+            return { error: `events must list one or more of ${WEBHOOK_EVENTS.join(', ')}` };
+        }
+        value.events = events;
+    }
+
+    if (input.active !== undefined) {
+        if (typeof input.active !== 'boolean') return { error: 'active must be a boolean' };
+        value.active = input.active;
+    }
+
+    if (input.description !== undefined) {
+        value.description = String(input.description).slice(0, 200);
+    }
+    return { value };
+}
+
+/**
+ * Place owners manage their own place's webhooks. Ownership is read from
+ * Places/{id}.ownerId (or userId for older docs).
+ */
+async function getPlaceOwnerId(placeId) {
+    const doc = await db.collection('Places').doc(placeId).get();
+    if (!doc.exists) return null;
+    return doc.data().ownerId || doc.data().userId || null;
+}
+
+// Returns the secret once; it is never included in later reads
+async function createWebhook(placeId, ownerId, { url, events, description }) {
+    const existing = await webhooksRef().where('placeId', '==', placeId).count().get();
+    if (existing.data().count >= MAX_WEBHOOKS_PER_PLACE) {
+        return { error: `A place can have at most ${MAX_WEBHOOKS_PER_PLACE} webhooks` };
+    }
+
+    const ref = webhooksRef().doc();
+    const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+    await ref.set({
+        id: ref.id,
+        placeId: placeId,
+        ownerId: ownerId,
+        url: url,
+        events: events,
+        description: description || '',
+        secret: secret,
+        active: true,
+        consecutiveFailures: 0,
+        disabledAt: null,
+        disabledReason: null,
+        lastDeliveryAt: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { ref, secret };
+}
+
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Queues `event` for every active webhook of the place subscribed to its type;
+ * the webhook worker makes the attempts. `eventId` identifies the source
+ * event, so a replayed listener event is not delivered twice.
+ */
+async function dispatchWebhookEvent(placeId, event, eventId, data) {
+    if (!placeId) return 0;
+    const snapshot = await webhooksRef()
+        .where('placeId', '==', placeId)
+        .where('active', '==', true)
+        .get();
+    const webhooks = snapshot.docs.filter(doc => doc.data().events.includes(event));
+
+    let queued = 0;
+    for (const webhook of webhooks) {
+        const ref = webhookDeliveriesRef().doc(`${webhook.id}_${eventId}`);
+        try {
+            await ref.create({
+                webhookId: webhook.id,
+                placeId: placeId,
+                event: event,
+                payload: {
+                    id: ref.id,
+                    event: event,
+                    createdAt: new Date().toISOString(),
+                    placeId: placeId,
+                    data: data,
+                },
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: admin.firestore.Timestamp.now(),
+                lockedUntil: null,
+                lastStatusCode: null,
+                lastError: null,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        } catch (e) {
+            if (e.code === GRPC_ALREADY_EXISTS) continue;
+            throw e;
+        }
+        queued++;
+    }
+    return queued;
+}
+
+async function postEvent(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+        const { statusCode } = await postToPublicUrl(webhook.url, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'NotificationServer-Webhooks/1.0',
+                'X-Webhook-Id': webhook.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery.payload.id,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+            },
+            body: body,
+            timeoutMs: WEBHOOK_TIMEOUT_MS,
+        });
+        const ok = statusCode >= 200 && statusCode < 300;
+        return { ok, statusCode, error: ok ? null : `HTTP ${statusCode}` };
+    } catch (e) {
+        return { ok: false, statusCode: null, error: e.message };
+    }
+}
+
+// Success resets the endpoint's failure streak; a long enough streak disables it
+async function recordWebhookOutcome(webhookRef, ok) {
+    const FieldValue = admin.firestore.FieldValue;
+    return db.runTransaction(async transaction => {
+        const doc = await transaction.get(webhookRef);
+        if (!doc.exists) return;
+        const failures = ok ? 0 : (doc.data().consecutiveFailures || 0) + 1;
+        const disable = !ok && failures >= WEBHOOK_DISABLE_AFTER && doc.data().active;
+
+        transaction.update(webhookRef, {
+            consecutiveFailures: failures,
+            lastDeliveryAt: FieldValue.serverTimestamp(),
+            ...(disable ? {
+                active: false,
+                disabledAt: FieldValue.serverTimestamp(),
+                disabledReason: `${failures} consecutive failed deliveries`,
+            } : {}),
+        });
+        if (disable) console.warn(`🚫 [Webhooks] ${webhookRef.id} disabled after ${failures} consecutive failures`);
+    });
+}
+
+async function processWebhookDelivery(ref) {
+    const delivery = await claimQueueItem(ref, {
+        isReady: item => item.status === 'pending',
+        lockMs: WEBHOOK_LOCK_MS,
+    });
+    if (!delivery) return false;
+
+    const FieldValue = admin.firestore.FieldValue;
+    const webhookRef = webhooksRef().doc(delivery.webhookId);
+    const webhookDoc = await webhookRef.get();
+    if (!webhookDoc.exists || !webhookDoc.data().active) {
+        await ref.update({
+            status: 'failed',
+            lockedUntil: null,
+            lastError: webhookDoc.exists ? 'Webhook disabled' : 'Webhook deleted',
+            updatedAt: FieldValue.serverTimestamp(),
+            expireAt: admin.firestore.Timestamp.fromMillis(Date.now() + WEBHOOK_LOG_RETENTION_MS),
+        });
+        return false;
+    }
+
+    const attempts = (delivery.attempts || 0) + 1;
+    const result = await postEvent(webhookDoc.data(), delivery);
+    await recordWebhookOutcome(webhookRef, result.ok);
+
+    const exhausted = !result.ok && attempts >= WEBHOOK_MAX_ATTEMPTS;
+    await ref.update({
+        status: result.ok ? 'delivered' : (exhausted ? 'failed' : 'pending'),
+        attempts: attempts,
+        lockedUntil: null,
+        lastStatusCode: result.statusCode,
+        lastError: result.error,
+        nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + (result.ok ? 0 : getBackoffDelay(attempts))),
+        updatedAt: FieldValue.serverTimestamp(),
+        ...(result.ok ? { deliveredAt: FieldValue.serverTimestamp() } : {}),
+        ...(result.ok || exhausted ? { expireAt: admin.firestore.Timestamp.fromMillis(Date.now() + WEBHOOK_LOG_RETENTION_MS) } : {}),
+    });
+
+    if (result.ok) {
+        console.log(`🪝 [Webhooks] ${delivery.event} delivered to ${delivery.webhookId}`);
+    } else if (exhausted) {
+        console.error(`[Webhooks] ${ref.id} failed after ${attempts} attempt(s): ${result.error}`);
+    } else {
+        console.warn(`[Webhooks] ${ref.id} attempt ${attempts} failed, retrying: ${result.error}`);
+    }
+    return result.ok;
+}
+
+/**
+ * Sets the user's own endpoint. The secret is kept when only the URL changes
+ * and is returned only when a new one is generated.
+ */
+async function saveUserWebhook(userId, url) {
+    const ref = userWebhookRef(userId);
+    const existing = await ref.get();
+    const secret = existing.exists ? null : `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+    await ref.set({
+        url: url,
+        ...(secret ? { secret: secret, createdAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return { secret };
+}
+
+// What the receiver gets; mirrors the FCM data payload
+function buildNotificationEvent(notification) {
+    return {
+        id: notification.id,
+        event: 'notification.created',
+        createdAt: new Date().toISOString(),
+        data: {
+            recipientId: notification.recipientId,
+            title: notification.title,
+            body: notification.body,
+            type: notification.type,
+            senderId: notification.senderId,
+            senderName: notification.senderName,
+            targetId: notification.targetId,
+            targetType: notification.targetType,
+            postId: notification.postId,
+            placeId: notification.placeId,
+            reviewId: notification.reviewId,
+            commentId: notification.commentId,
+            data: notification.data || {},
+        },
+    };
+}
+
+const webhookChannel = {
+    name: 'webhook',
+    enabledByDefault: true,
+    async deliver({ recipientId, notification }) {
+        const doc = await userWebhookRef(recipientId).get();
+        if (!doc.exists) return { status: 'skipped', error: 'No webhook configured' };
+
+        const { url, secret } = doc.data();
+        const event = buildNotificationEvent(notification);
+        const body = JSON.stringify(event);
+        const timestamp = Math.floor(Date.now() / 1000);
+        let statusCode;
+        try {
+            ({ statusCode } = await postToPublicUrl(url, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'NotificationServer-Webhooks/1.0',
+                    'X-Webhook-Event': event.event,
+                    'X-Webhook-Delivery': event.id,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': signPayload(secret, timestamp, body),
+                },
+                body: body,
+                timeoutMs: WEBHOOK_TIMEOUT_MS,
+            }));
+        } catch (e) {
+            // A URL that stopped resolving to a public host will not start working on a retry
+            return { status: 'failed', retryable: e.code !== 'PRIVATE_ADDRESS', error: e.message };
+        }
+
+        if (statusCode >= 200 && statusCode < 300) return { status: 'sent', statusCode };
+        return {
+            status: 'failed',
+            retryable: statusCode === 429 || statusCode >= 500,
+            error: `HTTP ${statusCode}`,
+            statusCode,
+        };
+    },
+};
+
+async function processDueWebhookDeliveries() {
+    return processDueQueueItems(webhookDeliveriesRef(), {
+        readyStatus: 'pending',
+        dueField: 'nextAttemptAt',
+        batchSize: WEBHOOK_BATCH_SIZE,
+        processItem: processWebhookDelivery,
+        tag: 'Webhooks',
+    });
+}
+
+// Returns a function that stops the worker
+function startWebhookWorker() {
+    return startQueueWorker(processDueWebhookDeliveries, { intervalMs: WEBHOOK_POLL_INTERVAL_MS, tag: 'Webhooks' });
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    webhooksRef,
+    webhookDeliveriesRef,
+    userWebhookRef,
+    validateWebhookUrl,
+    validateWebhook,
+    getPlaceOwnerId,
+    createWebhook,
+    signPayload,
+    dispatchWebhookEvent,
+    saveUserWebhook,
+    webhookChannel,
+    startWebhookWorker,
+};
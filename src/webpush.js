@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const { admin, db } = require('./firebase');
+const { PUSH_STYLES } = require('./push');
+const { isPrivateHostname, postToPublicUrl } = require('./egress');
+
+/**
+ * WEB PUSH: Browser push subscriptions (Users/{id}/WebPushSubscriptions/{sha256(endpoint)})
+ *
+ * Payloads are encrypted per RFC 8291 (aes128gcm) and requests are signed
+ * with VAPID (RFC 8292). Keys come from the environment:
+ *   VAPID_PUBLIC_KEY   uncompressed P-256 point, base64url (the browser's applicationServerKey)
+ *   VAPID_PRIVATE_KEY  32-byte P-256 private key, base64url
+ *   VAPID_SUBJECT      mailto: or https: contact for the push services
+ * Subscriptions the push service reports as gone (404/410) are deleted.
+ * Endpoints must be on public hosts (see egress.js) and only the status
+ * code of a push service response is kept.
+ */
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || '';
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY || '';
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:admin@localhost';
+const VAPID_JWT_TTL_SECONDS = 12 * 60 * 60;
+const WEB_PUSH_TTL_SECONDS = 4 * 7 * 24 * 60 * 60;
+const WEB_PUSH_TIMEOUT_MS = 10 * 1000;
+const RECORD_SIZE = 4096;
+// Push services must accept at least 4096 bytes of body; keep the payload under that
+const MAX_PAYLOAD_BYTES = 3000;
+
+function webPushSubscriptionsRef(userId) {
+    return db.collection('Users').doc(userId).collection('WebPushSubscriptions');
+}
+
+function subscriptionIdForEndpoint(endpoint) {
+    return crypto.createHash('sha256').update(endpoint).digest('hex');
+}
+
+function isWebPushConfigured() {
+    return !!(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+}
+
+/**
+ * Validates a W3C PushSubscription (as from `subscription.toJSON()`).
+ * Returns `{ error }` or `{ value }`.
+ */
+function validateSubscription(subscription) {
+    const { endpoint, keys, expirationTime } = subscription || {};
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch {
+        return { error: 'subscription.endpoint must be a URL' };
+    }
+    if (url.protocol !== 'https:') return { error: 'subscription.endpoint must use https' };
+    if (isPrivateHostname(url.hostname)) return { error: 'subscription.endpoint must point to a public host' };
+
+    const p256dh = Buffer.from(String(keys?.p256dh || ''), 'base64url');
+    const auth = Buffer.from(String(keys?.auth || ''), 'base64url');
+    if (p256dh.length !== 65 || p256dh[0] !== 0x04) return { error: 'subscription.keys.p256dh must be an uncompressed P-256 key' };
+    if (auth.length !== 16) return { error: 'subscription.keys.auth must be 16 bytes' };
+
+    return {
+        value: {
+            endpoint: endpoint,
+            keys: { p256dh: keys.p256dh, auth: keys.auth },
+            expirationTime: typeof expirationTime === 'number' ? expirationTime : null,
+        },
+    };
+}
+
+function vapidPrivateKey() {
+    const publicKey = Buffer.from(VAPID_PUBLIC_KEY, 'base64url');
+    return crypto.createPrivateKey({
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: publicKey.subarray(1, 33).toString('base64url'),
+            y: publicKey.subarray(33, 65).toString('base64url'),
+            d: VAPID_PRIVATE_KEY,
+        },
+        format: 'jwk',
+    });
+}
+
+// `Authorization: vapid t=<ES256 JWT>, k=<public key>` scoped to the push service origin
+function vapidAuthorization(endpoint) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ typ: 'JWT', alg: 'ES256' })}.${encode({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(Date.now() / 1000) + VAPID_JWT_TTL_SECONDS,
+        sub: VAPID_SUBJECT,
+    })}`;
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), {
+        key: vapidPrivateKey(),
+        dsaEncoding: 'ieee-p1363',
+    });
+    return `vapid t=${unsigned}.${signature.toString('base64url')}, k=${VAPID_PUBLIC_KEY}`;
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Encrypts a payload for one subscription (RFC 8291, single aes128gcm record).
+ * Returns the request body: salt | record size | key id length | sender key | ciphertext.
+ */
+function encryptPayload(payload, keys) {
+    const userAgentPublic = Buffer.from(keys.p256dh, 'base64url');
+    const authSecret = Buffer.from(keys.auth, 'base64url');
+
+    const ecdh = crypto.createECDH('prime256v1');
+    const serverPublic = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(userAgentPublic);
+
+    // IKM = HKDF(auth_secret, ecdh_secret, "WebPush: info" || 0x00 || ua_public || as_public, 32)
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublic, serverPublic, Buffer.from([1])]);
+    const ikm = hmac(hmac(authSecret, sharedSecret), keyInfo);
+
+    const salt = crypto.randomBytes(16);
+    const prk = hmac(salt, ikm);
+    const contentKey = hmac(prk, Buffer.from('Content-Encoding: aes128gcm\0\x01')).subarray(0, 16);
+    const nonce = hmac(prk, Buffer.from('Content-Encoding: nonce\0\x01')).subarray(0, 12);
+
+    // 0x02 marks the last (and only) record; no padding
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    const ciphertext = Buffer.concat([cipher.update(Buffer.concat([payload, Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverPublic.length, 20);
+    return Buffer.concat([header, serverPublic, ciphertext]);
+}
+
+/**
+ * Sends one encrypted message. Resolves to `{ success, statusCode, gone, retryable, error }`.
+ */
+async function sendWebPush(subscription, payload, { ttl = WEB_PUSH_TTL_SECONDS, urgency = 'normal', topic } = {}) {
+    const headers = {
+        'Content-Type': 'application/octet-stream',
+        'Content-Encoding': 'aes128gcm',
+        TTL: String(ttl),
+        Urgency: urgency,
+        Authorization: vapidAuthorization(subscription.endpoint),
+    };
+    // Topic lets the push service replace an undelivered message (max 32 URL-safe chars)
+    if (topic) headers.Topic = crypto.createHash('sha256').update(topic).digest('base64url').slice(0, 32);
+
+    let statusCode;
+    try {
+        ({ statusCode } = await postToPublicUrl(subscription.endpoint, {
+            headers: headers,
+            body: encryptPayload(Buffer.from(payload), subscription.keys),
+            timeoutMs: WEB_PUSH_TIMEOUT_MS,
+        }));
+    } catch (e) {
+        // An endpoint that is not a public host will never work; drop it like an expired one
+        const refused = e.code === 'PRIVATE_ADDRESS';
+        return { success: false, statusCode: null, gone: refused, retryable: !refused, error: e.message };
+    }
+
+    if (statusCode >= 200 && statusCode < 300) {
+        return { success: true, statusCode, gone: false, retryable: false, error: null };
+    }
+    return {
+        success: false,
+        statusCode,
+        gone: statusCode === 404 || statusCode === 410,
+        retryable: statusCode === 429 || statusCode >= 500,
+        error: `HTTP ${statusCode}`,
+    };
+}
+
+// What the service worker receives; mirrors the FCM data payload
+function buildWebPushPayload(notification, badgeCount) {
+    const payload = {
+        title: notification.title,
+        body: notification.body,
+        type: notification.type,
+        notificationId: notification.id,
+        badge: badgeCount,
+        data: {
+            senderId: notification.senderId,
+            senderName: notification.senderName,
+            senderAvatar: notification.senderAvatar,
+            targetId: notification.targetId,
+            targetType: notification.targetType,
+            postId: notification.postId,
+            placeId: notification.placeId,
+            reviewId: notification.reviewId,
+            commentId: notification.commentId,
+            ...notification.data,
+        },
+    };
+    let json = JSON.stringify(payload);
+    if (Buffer.byteLength(json) > MAX_PAYLOAD_BYTES) {
+        // Too big for one record: send the essentials, the client can fetch the rest
+        const { data, ...essentials } = payload;
+        json = JSON.stringify({ ...essentials, data: { targetId: data.targetId, targetType: data.targetType } });
+    }
+    return json;
+}
+
+async function getActiveWebPushSubscriptions(userId) {
+    const snapshot = await webPushSubscriptionsRef(userId).get();
+    const now = Date.now();
+    return snapshot.docs
+        .map(doc => ({ id: doc.id, ref: doc.ref, ...doc.data() }))
+        .filter(subscription => !subscription.expirationTime || subscription.expirationTime > now);
+}
+
+const webPushChannel = {
+    name: 'web_push',
+    enabledByDefault: true,
+    async deliver({ recipientId, notification, badgeCount }) {
+        if (!isWebPushConfigured()) return { status: 'skipped', error: 'VAPID keys not configured' };
+        const subscriptions = await getActiveWebPushSubscriptions(recipientId);
+        if (!subscriptions.length) return { status: 'skipped', error: 'No web push subscriptions' };
+
+        const style = PUSH_STYLES[notification.type] || PUSH_STYLES.default;
+        const payload = buildWebPushPayload(notification, badgeCount);
+        const results = [];
+        for (const subscription of subscriptions) {
+            const result = await sendWebPush(subscription, payload, {
+                urgency: style.priority === 'normal' ? 'normal' : 'high',
+                topic: notification.collapseKey,
+            });
+            if (result.gone) {
+                await subscription.ref.delete();
+                console.log(`🧹 [WebPush] Removed expired subscription ${subscription.id.slice(0, 12)} for ${recipientId}`);
+            }
+            results.push({ subscriptionId: subscription.id, ...result });
+        }
+
+        const deliveredCount = results.filter(result => result.success).length;
+        return {
+            status: deliveredCount ? 'sent' : 'failed',
+            retryable: !deliveredCount && results.some(result => result.retryable),
+            error: deliveredCount ? null : results.map(result => result.error).join('; '),
+            deliveredCount: deliveredCount,
+            removedCount: results.filter(result => result.gone).length,
+        };
+    },
+};
+
+async function saveWebPushSubscription(userId, subscription, { userAgent, locale } = {}) {
+    const id = subscriptionIdForEndpoint(subscription.endpoint);
+    const ref = webPushSubscriptionsRef(userId).doc(id);
+    const existing = await ref.get();
+    await ref.set({
+        ...subscription,
+        userAgent: userAgent || '',
+        locale: locale || '',
+        lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...(existing.exists ? {} : { createdAt: admin.firestore.FieldValue.serverTimestamp() }),
+    }, { merge: true });
+    return id;
+}
+
+async function removeWebPushSubscription(userId, endpoint) {
+    await webPushSubscriptionsRef(userId).doc(subscriptionIdForEndpoint(endpoint)).delete();
+}
+
+module.exports = {
+    VAPID_PUBLIC_KEY,
+    isWebPushConfigured,
+    validateSubscription,
+    encryptPayload,
+    sendWebPush,
+    getActiveWebPushSubscriptions,
+    saveWebPushSubscription,
+    removeWebPushSubscription,
+    webPushChannel,
+};
@@ -0,0 +1,76 @@
+const {
+    setupNewReviewListener,
+    setupNewCommentListener,
+    setupNewPostListener,
+    setupLikeListeners,
+    setupNewFollowerListener,
+} = require('./listeners');
+const { startDeferredDeliveryLoop } = require('./notifications');
+const { startOutboxWorker } = require('./outbox');
+const { startCampaignWorker } = require('./campaigns');
+const { startScheduler } = require('./scheduler');
+const { startFanoutWorker } = require('./fanout');
+const { startDigestWorker } = require('./digest');
+const { startWebhookWorker } = require('./webhooks');
+const { startTopicDeliveryWorker, startUserTopicMigration } = require('./topics');
+const { startLeaderElection, releaseLease } = require('./leader');
+
+/**
+ * WORKER: Long-lived background work (Firestore listeners and delivery loops).
+ * Needs a persistent process; it does not run inside the serverless API.
+ */
+
+// Starts everything the leader owns and returns the matching stop functions
+function startBackgroundWork() {
+    const pending = (promise, label) => {
+        const ready = promise.catch(err => {
+            console.error(`[Listener Error] ${label}:`, err);
+            return null;
+        });
+        return () => ready.then(unsubscribe => unsubscribe && unsubscribe());
+    };
+
+    return [
+        pending(setupNewReviewListener(), 'New Reviews'),
+        pending(setupNewCommentListener(), 'New Comments'),
+        pending(setupNewPostListener(), 'New Posts'),
+        setupNewFollowerListener(),
+        setupLikeListeners(),
+        startDeferredDeliveryLoop(),
+        startOutboxWorker(),
+        startCampaignWorker(),
+        startScheduler(),
+        startFanoutWorker(),
+        startDigestWorker(),
+        startWebhookWorker(),
+        startTopicDeliveryWorker(),
+        startUserTopicMigration(),
+    ];
+}
+
+function startWorker() {
+    console.log('👷 Notification worker starting');
+    let stops = [];
+
+    const stopElection = startLeaderElection({
+        onElected: () => {
+            stops = startBackgroundWork();
+        },
+        onDemoted: () => {
+            stops.forEach(stop => stop());
+            stops = [];
+        },
+    });
+
+    process.once('SIGTERM', async () => {
+        stopElection();
+        try {
+            await releaseLease();
+        } catch (e) {
+            console.error('[Leader] Failed to release lease:', e.message);
+        }
+        process.exit(0);
+    });
+}
+
+module.exports = { startWorker };